@@ -18,6 +18,8 @@ let currentPage = 'home';
 let isEditing = false;
 let wikiConfig = null;
 let currentSpecialPage = null;
+let currentTemplate = null;
+let newPageTemplatePicked = false;
 
 // DOM Elements
 const content = document.getElementById('content');
@@ -81,15 +83,23 @@ function setupEventListeners() {
     document.getElementById('editBtn').addEventListener('click', enterEditMode);
     document.getElementById('saveBtn').addEventListener('click', savePage);
     document.getElementById('cancelBtn').addEventListener('click', exitEditMode);
-    document.getElementById('newPageBtn').addEventListener('click', () => openModal('newPageModal'));
+    document.getElementById('newPageBtn').addEventListener('click', openNewPageModal);
+    document.getElementById('historyBtn').addEventListener('click', openHistoryModal);
+    document.getElementById('graphBtn').addEventListener('click', () => navigateTo(`_graph/${currentPage}`));
     document.getElementById('renameBtn').addEventListener('click', openRenameModal);
     document.getElementById('deleteBtn').addEventListener('click', openDeleteModal);
     document.getElementById('backupBtn').addEventListener('click', () => openModal('backupModal'));
     document.getElementById('adminBtn').addEventListener('click', openAdmin);
     document.getElementById('refreshTreeBtn').addEventListener('click', loadTree);
+    attachRouteLinks(document.getElementById('sidebarLinks'));
+
+    // Search
+    setupSearch();
 
     // New page modal
     document.getElementById('createPageBtn').addEventListener('click', createNewPage);
+    document.getElementById('pagePath').addEventListener('change', loadTemplateOptions);
+    document.getElementById('pageTemplate').addEventListener('change', () => { newPageTemplatePicked = true; });
 
     // Delete modal
     document.getElementById('executeDeleteBtn').addEventListener('click', executeDelete);
@@ -101,9 +111,39 @@ function setupEventListeners() {
     // Backup modal
     document.getElementById('executeBackupBtn').addEventListener('click', executeBackup);
 
+    // History modal
+    document.querySelectorAll('.history-back').forEach(btn => {
+        btn.addEventListener('click', () => showHistoryPanel('historyListView'));
+    });
+    document.getElementById('compareSelectedBtn').addEventListener('click', compareSelectedRevisions);
+    document.getElementById('diffPreviousBtn').addEventListener('click', () => {
+        const index = historyCommits.findIndex(c => c.hash === historyRevision);
+        const previous = historyCommits[index + 1];
+        if (previous) showDiff(previous.hash, historyRevision);
+    });
+    document.getElementById('diffCurrentBtn').addEventListener('click', () => showDiff(historyRevision, 'current'));
+    document.getElementById('restoreRevisionBtn').addEventListener('click', restoreRevision);
+    document.getElementById('conflictMergeBtn').addEventListener('click', () => resolveConflict('merge'));
+    document.getElementById('conflictOverwriteBtn').addEventListener('click', () => resolveConflict('overwrite'));
+    document.getElementById('conflictDiscardBtn').addEventListener('click', () => resolveConflict('discard'));
+    document.querySelectorAll('.diff-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            diffMode = btn.dataset.mode;
+            document.querySelectorAll('.diff-mode-btn').forEach(b => b.classList.toggle('active', b === btn));
+            if (lastDiff) renderDiff(lastDiff);
+        });
+    });
+
     // Rename modal
     document.getElementById('executeRenameBtn').addEventListener('click', executerename);
     document.getElementById('newPageName').addEventListener('input', validatePageName);
+    document.getElementById('newPageFolder').addEventListener('input', validateFolderPath);
+    document.getElementById('newPageName').addEventListener('input', resetRenamePreview);
+    document.getElementById('newPageFolder').addEventListener('input', resetRenamePreview);
+
+    // Drag-and-drop moves in the page tree
+    setupTreeDragAndDrop();
+    document.getElementById('executeMoveBtn').addEventListener('click', executeMove);
 
     // Admin panel
     document.getElementById('exitAdminBtn').addEventListener('click', exitAdmin);
@@ -122,6 +162,13 @@ function setupEventListeners() {
     document.getElementById('saveSupabaseConfigBtn').addEventListener('click', saveSupabaseConfig);
     document.getElementById('saveUserRolesBtn').addEventListener('click', saveUserRoles);
 
+    // Page templates
+    document.getElementById('newTemplateBtn').addEventListener('click', () => openTemplateEditor(null));
+    document.getElementById('saveTemplateBtn').addEventListener('click', saveTemplate);
+
+    // Trash
+    document.getElementById('emptyTrashBtn').addEventListener('click', emptyTrash);
+
     // Appearance controls
     document.getElementById('applyAppearanceBtn').addEventListener('click', applyAppearance);
     document.getElementById('resetAppearanceBtn').addEventListener('click', resetAppearance);
@@ -171,17 +218,58 @@ function handleRouting() {
         ? pathname.slice(base.length)
         : pathname;
     currentPage = (localPath === '/' || localPath === '') ? 'home' : localPath.replace(/^\//, '');
-    loadPage(currentPage);
+    document.getElementById('pageTags').innerHTML = '';
+    document.getElementById('pageBacklinks').innerHTML = '';
+
+    // Generated views live under "_" names the server won't give to a page,
+    // so they never hide a real page called "tags" or "graph".
+    // /_tags and /_tags/<tag> are listings, not pages
+    const tagRoute = currentPage.match(/^_tags(?:\/(.+))?$/);
+    // /_reports, /_reports/<report> and /_reports/<report>/<name> are generated
+    const reportRoute = currentPage.match(/^_reports(?:\/([^/]+)(?:\/(.+))?)?$/);
+    // /_graph shows the whole wiki, /_graph/<page> the pages around one page
+    const graphRoute = currentPage.match(/^_graph(?:\/(.+))?$/);
+    if (tagRoute) {
+        setPageActionsVisible(false);
+        loadTagView(tagRoute[1] ? decodeURIComponent(tagRoute[1]) : null);
+    } else if (reportRoute) {
+        setPageActionsVisible(false);
+        loadReport(reportRoute[1] || null, reportRoute[2] ? decodeURIComponent(reportRoute[2]) : null);
+    } else if (graphRoute) {
+        setPageActionsVisible(false);
+        loadGraphView(graphRoute[1] ? decodeURIComponent(graphRoute[1]) : null);
+    } else {
+        setPageActionsVisible(true);
+        loadPage(currentPage);
+    }
     updateBreadcrumbs();
 }
 
-function navigateTo(path) {
+// Edit/History/Graph/Rename/Delete only make sense on a real page
+function setPageActionsVisible(visible) {
+    ['editBtn', 'historyBtn', 'graphBtn', 'renameBtn', 'deleteBtn'].forEach(id => {
+        document.getElementById(id).style.display = visible ? '' : 'none';
+    });
+}
+
+// `anchor` is a heading id to scroll to once the page has loaded
+function navigateTo(path, anchor) {
     const base = window.APP_BASE || '';
-    const url = path === 'home' ? base + '/' : `${base}/${path}`;
+    const url = (path === 'home' ? base + '/' : `${base}/${path}`) + (anchor ? `#${encodeURIComponent(anchor)}` : '');
     window.history.pushState({}, '', url);
     handleRouting();
 }
 
+// Old path of a page reached through a redirect, shown above it once
+let redirectedFrom = null;
+
+function redirectNoticeHtml() {
+    if (!redirectedFrom) return '';
+    const html = `<p class="redirect-notice">↪ Redirected from <code>${escapeHtml(redirectedFrom)}</code></p>`;
+    redirectedFrom = null;
+    return html;
+}
+
 // Load page content
 async function loadPage(path) {
     try {
@@ -196,7 +284,7 @@ async function loadPage(path) {
 
         if (!response.ok) {
             if (response.status === 404) {
-                content.innerHTML = `
+                content.innerHTML = redirectNoticeHtml() + `
                     <h1>Page Not Found</h1>
                     <p>The page "${path}" doesn't exist yet.</p>
                     <button onclick="createPageAtPath('${path}')" class="btn btn-primary">Create This Page</button>
@@ -206,7 +294,7 @@ async function loadPage(path) {
             }
             if (response.status === 401) {
                 const errorData = await response.json().catch(() => ({}));
-                content.innerHTML = `
+                content.innerHTML = redirectNoticeHtml() + `
                     <div style="text-align: center; padding: 2rem;">
                         <h1>&#x1F512; Authentication Required</h1>
                         <p>${errorData.error || 'This page requires authentication to view.'}</p>
@@ -222,23 +310,510 @@ async function loadPage(path) {
         }
 
         const data = await response.json();
-        content.innerHTML = data.content;
+
+        // The page was renamed or moved: show it at its new address
+        if (data.redirect && !redirectedFrom) {
+            redirectedFrom = path;
+            const base = window.APP_BASE || '';
+            window.history.replaceState({}, '', `${base}/${data.redirect}${window.location.hash}`);
+            handleRouting();
+            return;
+        }
+
+        content.innerHTML = redirectNoticeHtml() + pageTitleHtml(data.meta, data.content) + data.content;
         footer.innerHTML = data.footer;
+        renderPageTags(data.tags || []);
+        renderBacklinks(data.backlinks || []);
 
-        // Store raw content for editing
+        // Store raw content and its version for editing
         editor.setAttribute('data-raw', data.raw);
+        editor.setAttribute('data-version', data.version);
 
         // Highlight current page in tree
         highlightTreeItem(path);
 
         // Attach wikilink click handlers
         attachWikilinkHandlers();
+        attachAnchorHandlers();
+        if (window.location.hash) scrollToAnchor(decodeURIComponent(window.location.hash.slice(1)));
     } catch (error) {
         showNotification('Error loading page', 'error');
         console.error(error);
     }
 }
 
+// A front matter title names the browser tab, and becomes the page heading
+// when the page doesn't open with one of its own
+function pageTitleHtml(meta, html) {
+    const wikiName = (wikiConfig && wikiConfig.wikiName) || 'Massive Wiki';
+    const title = meta && meta.title != null ? String(meta.title).trim() : '';
+    document.title = title ? `${title} - ${wikiName}` : wikiName;
+    if (!title || /^\s*<h1[\s>]/.test(html)) return '';
+    return `<h1>${escapeHtml(title)}</h1>`;
+}
+
+// In-page anchors (table of contents, heading links). The <base> tag would
+// resolve a bare "#id" href against the wiki root, so handle them here.
+function attachAnchorHandlers() {
+    [content, footer].flatMap(el => [...el.querySelectorAll('a[href^="#"]')]).forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            const id = decodeURIComponent(link.getAttribute('href').slice(1));
+            window.history.replaceState(window.history.state, '', `${window.location.pathname}#${encodeURIComponent(id)}`);
+            scrollToAnchor(id);
+        });
+    });
+}
+
+// Headings are rendered with a "user-content-" id prefix so they can't clash
+// with the app's own element ids; links and the URL hash use the bare slug.
+// Ids are unique across the page's content and its footer.
+function scrollToAnchor(id) {
+    const selector = `[id="user-content-${CSS.escape(id)}"]`;
+    const target = id && (content.querySelector(selector) || footer.querySelector(selector));
+    if (target) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Tags
+function tagChipHtml(tag, count) {
+    const base = window.APP_BASE || '';
+    const countHtml = count !== undefined ? `<span class="tag-count">${count}</span>` : '';
+    return `<a class="tag-chip" href="${base}/_tags/${encodeURI(tag)}" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}${countHtml}</a>`;
+}
+
+function attachTagChipHandlers(container) {
+    container.querySelectorAll('.tag-chip').forEach(chip => {
+        chip.addEventListener('click', (e) => {
+            e.preventDefault();
+            navigateTo(`_tags/${chip.dataset.tag}`);
+        });
+    });
+}
+
+function renderPageTags(tags) {
+    const container = document.getElementById('pageTags');
+    container.innerHTML = tags.map(tag => tagChipHtml(tag)).join('');
+    attachTagChipHandlers(container);
+}
+
+// "Linked from" panel below the page; left empty (and hidden) when nothing links here
+function renderBacklinks(backlinks) {
+    const container = document.getElementById('pageBacklinks');
+    container.innerHTML = backlinks.length
+        ? `<div class="page-backlinks-title">Linked from</div><ul>${backlinks.map(p => `<li>${pageLinkHtml(p)}</li>`).join('')}</ul>`
+        : '';
+}
+
+// /_tags lists every tag; /_tags/<tag> lists the pages carrying it
+async function loadTagView(tag) {
+    footer.innerHTML = '';
+    document.title = `${tag ? '#' + tag : 'Tags'} - ${(wikiConfig && wikiConfig.wikiName) || 'Massive Wiki'}`;
+
+    try {
+        const response = await authFetch(tag ? `/api/tags/${encodeURI(tag)}` : '/api/tags');
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load tags');
+
+        if (!tag) {
+            content.innerHTML = '<h1>Tags</h1>' + (data.count
+                ? `<div class="tag-cloud">${data.tags.map(t => tagChipHtml(t.tag, t.count)).join('')}</div>`
+                : '<p class="help-text">No pages are tagged yet. Add <code>#tag</code> to a page or <code>tags: [a, b]</code> to its front matter.</p>');
+        } else {
+            const base = window.APP_BASE || '';
+            const items = data.pages.map(p =>
+                `<li><a href="${base}/${p.path}" class="wikilink" data-page="${escapeHtml(p.path)}" data-exists="true">${escapeHtml(p.title)}</a>` +
+                `<span class="tag-page-path">${escapeHtml(p.path)}</span></li>`
+            ).join('');
+            content.innerHTML = `<h1>#${escapeHtml(data.tag)}</h1>` +
+                `<p class="help-text">${data.count} page${data.count === 1 ? '' : 's'} · <a href="${base}/_tags" class="tag-all-link">All tags</a></p>` +
+                (data.count ? `<ul class="tag-page-list">${items}</ul>` : '<p>No pages carry this tag.</p>');
+            const allLink = content.querySelector('.tag-all-link');
+            allLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                navigateTo('_tags');
+            });
+            attachWikilinkHandlers();
+        }
+        attachTagChipHandlers(content);
+    } catch (error) {
+        content.innerHTML = `<h1>Tags</h1><p class="error-text">${escapeHtml(error.message)}</p>`;
+        console.error(error);
+    }
+}
+
+// Reports: generated views about the wiki as a whole, under /_reports/
+const REPORTS = {
+    ambiguous: {
+        title: 'Ambiguous page names',
+        description: 'Names shared by more than one page, which plain [[name]] links can\'t tell apart',
+        load: loadDisambiguationView,
+    },
+    wanted: {
+        title: 'Wanted pages',
+        description: 'Pages that are linked to but don\'t exist yet (red links), most linked first',
+        load: loadWantedView,
+    },
+    orphans: {
+        title: 'Orphaned pages',
+        description: 'Pages no other page links to, which can only be found through the page tree',
+        load: loadOrphansView,
+    },
+};
+
+async function loadReport(kind, arg) {
+    footer.innerHTML = '';
+    const report = kind ? REPORTS[kind] : null;
+    const siteName = (wikiConfig && wikiConfig.wikiName) || 'Massive Wiki';
+
+    if (!report) {
+        document.title = `Reports - ${siteName}`;
+        const base = window.APP_BASE || '';
+        content.innerHTML = '<h1>Reports</h1><ul class="report-list">' +
+            Object.entries(REPORTS).map(([key, entry]) =>
+                `<li><a href="${base}/_reports/${key}" data-route="_reports/${key}">${escapeHtml(entry.title)}</a>` +
+                `<span class="help-text">${escapeHtml(entry.description)}</span></li>`
+            ).join('') + '</ul>';
+        attachRouteLinks(content);
+        return;
+    }
+
+    document.title = `${report.title} - ${siteName}`;
+    try {
+        await report.load(arg);
+    } catch (error) {
+        content.innerHTML = `<h1>${escapeHtml(report.title)}</h1><p class="error-text">${escapeHtml(error.message)}</p>`;
+        console.error(error);
+    }
+}
+
+// In-app links to generated views (<a data-route="_tags">)
+function attachRouteLinks(container) {
+    container.querySelectorAll('a[data-route]').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            navigateTo(link.dataset.route);
+        });
+    });
+}
+
+// Link to a page ({ path, title }) in a generated view, optionally to one of its sections
+function pageLinkHtml(page, anchor) {
+    const base = window.APP_BASE || '';
+    const anchorAttr = anchor ? ` data-anchor="${escapeHtml(anchor)}"` : '';
+    return `<a href="${base}/${escapeHtml(page.path)}" class="wikilink" data-page="${escapeHtml(page.path)}"${anchorAttr} data-exists="true">${escapeHtml(page.title)}</a>`;
+}
+
+function pageListItemHtml(page, anchor) {
+    return `<li>${pageLinkHtml(page, anchor)}<span class="tag-page-path">${escapeHtml(page.path)}</span></li>`;
+}
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// One ambiguous name (the target of its [[name]] links), or all of them
+async function loadDisambiguationView(name) {
+    const response = await authFetch(name ? `/api/reports/ambiguous/${encodeURIComponent(name)}` : '/api/reports/ambiguous');
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load page names');
+
+    if (name) {
+        // Carry a [[name#Section]] link's section through to the chosen page
+        const anchor = window.location.hash ? decodeURIComponent(window.location.hash.slice(1)) : '';
+        content.innerHTML = `<h1>${escapeHtml(data.name)}</h1>` +
+            `<p class="help-text">Several pages are named “${escapeHtml(data.name)}”. Links to <code>[[${escapeHtml(data.name)}]]</code> can't tell which one is meant; link to a full path instead.</p>` +
+            `<ul class="tag-page-list">${data.pages.map(p => pageListItemHtml(p, anchor)).join('')}</ul>`;
+    } else {
+        content.innerHTML = '<h1>Ambiguous page names</h1>' + (data.count
+            ? '<p class="help-text">Each of these names is used by more than one page. Rename pages or link to them by full path.</p>' +
+              data.names.map(entry =>
+                  `<h2>${escapeHtml(entry.name)}</h2><ul class="tag-page-list">${entry.pages.map(p => pageListItemHtml(p)).join('')}</ul>`
+              ).join('')
+            : '<p class="help-text">Every page name is unique.</p>');
+    }
+    attachWikilinkHandlers();
+}
+
+// Red links across the wiki; clicking one creates the page, like a red link on a page
+async function loadWantedView() {
+    const response = await authFetch('/api/reports/wanted');
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load wanted pages');
+
+    const base = window.APP_BASE || '';
+    content.innerHTML = '<h1>Wanted pages</h1>' + (data.count
+        ? `<p class="help-text">${pluralize(data.count, 'page')} linked to but not written yet. Click one to create it.</p>` +
+          '<ul class="report-entries">' + data.pages.map(entry =>
+              `<li><a href="${base}/${escapeHtml(entry.name)}" class="wikilink wikilink-new" data-page="${escapeHtml(entry.name)}" data-exists="false">${escapeHtml(entry.title)}</a>` +
+              `<span class="report-count">${pluralize(entry.count, 'page')}</span>` +
+              `<div class="report-detail">Linked from ${entry.linkedFrom.map(p => pageLinkHtml(p)).join(', ')}</div></li>`
+          ).join('') + '</ul>'
+        : '<p class="help-text">No red links: every linked page exists.</p>');
+    attachWikilinkHandlers();
+}
+
+// Pages nothing links to: link them from somewhere or delete them
+async function loadOrphansView() {
+    const response = await authFetch('/api/reports/orphans');
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to load orphaned pages');
+
+    content.innerHTML = '<h1>Orphaned pages</h1>' + (data.count
+        ? `<p class="help-text">${pluralize(data.count, 'page')} with no links from other pages, the home page, sidebar or footer. Link to them from a related page, or delete them.</p>` +
+          `<ul class="tag-page-list">${data.pages.map(p => pageListItemHtml(p)).join('')}</ul>`
+        : '<p class="help-text">No orphans: every page is linked from somewhere.</p>');
+    attachWikilinkHandlers();
+}
+
+// Graph view: pages as dots, links as lines. Around a page it shows the pages
+// within graphHops links of it; the hops setting is kept between pages.
+let graphHops = 1;
+
+async function loadGraphView(pagePath) {
+    footer.innerHTML = '';
+    const siteName = (wikiConfig && wikiConfig.wikiName) || 'Massive Wiki';
+    const query = pagePath ? `?page=${encodeURIComponent(pagePath)}&hops=${graphHops}` : '';
+
+    try {
+        const response = await authFetch(`/api/graph${query}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load graph');
+
+        const base = window.APP_BASE || '';
+        const focus = pagePath && data.nodes.find(n => n.path === pagePath);
+        const title = focus ? `Links around ${focus.title}` : 'Page graph';
+        document.title = `${title} - ${siteName}`;
+
+        const hopsSelect = `<label>Show pages up to <select id="graphHops">${[1, 2, 3, 4, 5].map(n =>
+            `<option value="${n}"${n === graphHops ? ' selected' : ''}>${pluralize(n, 'link')}</option>`).join('')}</select> away</label>`;
+        content.innerHTML = `<h1>${escapeHtml(title)}</h1>` +
+            '<div class="graph-toolbar">' +
+            (pagePath
+                ? `${hopsSelect}<a href="${base}/_graph" data-route="_graph">Whole wiki</a>` +
+                  `<a href="${base}/${escapeHtml(pagePath)}" data-route="${escapeHtml(pagePath)}">Back to page</a>`
+                : '') +
+            `<span class="help-text">${pluralize(data.nodes.length, 'page')}, ${pluralize(data.edges.length, 'link')}</span></div>` +
+            '<canvas id="graphCanvas" class="graph-canvas"></canvas>' +
+            '<p class="help-text">Click a page to open it. Scroll to zoom, drag to move around.</p>';
+        attachRouteLinks(content);
+
+        const hops = document.getElementById('graphHops');
+        if (hops) {
+            hops.addEventListener('change', () => {
+                graphHops = parseInt(hops.value, 10);
+                loadGraphView(pagePath);
+            });
+        }
+        renderGraph(document.getElementById('graphCanvas'), data, pagePath);
+    } catch (error) {
+        document.title = `Page graph - ${siteName}`;
+        content.innerHTML = `<h1>Page graph</h1><p class="error-text">${escapeHtml(error.message)}</p>`;
+        console.error(error);
+    }
+}
+
+// Force-directed layout on a canvas: linked pages pull together, nearby pages
+// push apart and a weak pull to the centre keeps unlinked pages in view.
+// Repulsion only looks at neighbouring grid cells so large wikis stay smooth.
+function renderGraph(canvas, graph, focusPath) {
+    const ctx = canvas.getContext('2d');
+    const styles = getComputedStyle(document.documentElement);
+    const colors = {
+        node: '#64748b',
+        edge: '#cbd5e1',
+        focus: styles.getPropertyValue('--primary').trim() || '#2563eb',
+        text: styles.getPropertyValue('--text-2').trim() || '#475569',
+    };
+
+    // Start on a spiral so the layout is the same each time the view opens
+    const nodes = graph.nodes.map((node, i) => ({
+        ...node,
+        x: 12 * Math.sqrt(i + 1) * Math.cos(i * 2.4),
+        y: 12 * Math.sqrt(i + 1) * Math.sin(i * 2.4),
+        vx: 0,
+        vy: 0,
+        degree: 0,
+    }));
+    const byPath = new Map(nodes.map(node => [node.path, node]));
+    const edges = graph.edges.map(edge => ({ source: byPath.get(edge.source), target: byPath.get(edge.target) }));
+    edges.forEach(edge => { edge.source.degree++; edge.target.degree++; });
+    const radius = node => 4 + Math.sqrt(node.degree) * 2;
+
+    // Pages only push apart within one grid cell of each other
+    const CELL = 80;
+    const view = { x: 0, y: 0, scale: 1 };
+    let alpha = 1;
+    let hovered = null;
+    let drag = null;
+    let dirty = true;
+
+    function step() {
+        const grid = new Map();
+        const cellKey = (cx, cy) => cx * 100003 + cy;
+        for (const node of nodes) {
+            const key = cellKey(Math.floor(node.x / CELL), Math.floor(node.y / CELL));
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(node);
+        }
+        for (const node of nodes) {
+            const cx = Math.floor(node.x / CELL);
+            const cy = Math.floor(node.y / CELL);
+            for (let gx = cx - 1; gx <= cx + 1; gx++) {
+                for (let gy = cy - 1; gy <= cy + 1; gy++) {
+                    const cell = grid.get(cellKey(gx, gy));
+                    if (!cell) continue;
+                    for (const other of cell) {
+                        if (other === node) continue;
+                        let dx = node.x - other.x;
+                        let dy = node.y - other.y;
+                        if (dx === 0 && dy === 0) { dx = Math.random() - 0.5; dy = Math.random() - 0.5; }
+                        const distSq = Math.max(dx * dx + dy * dy, 1);
+                        if (distSq > CELL * CELL) continue;
+                        const force = 120 * alpha / distSq;
+                        node.vx += dx * force;
+                        node.vy += dy * force;
+                    }
+                }
+            }
+        }
+        for (const { source, target } of edges) {
+            const dx = target.x - source.x;
+            const dy = target.y - source.y;
+            const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+            const force = (dist - 60) * 0.03 * alpha / dist;
+            source.vx += dx * force;
+            source.vy += dy * force;
+            target.vx -= dx * force;
+            target.vy -= dy * force;
+        }
+        for (const node of nodes) {
+            node.vx = (node.vx - node.x * 0.002 * alpha) * 0.8;
+            node.vy = (node.vy - node.y * 0.002 * alpha) * 0.8;
+            node.x += node.vx;
+            node.y += node.vy;
+        }
+        alpha *= 0.985;
+    }
+
+    function resize() {
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = canvas.clientWidth * ratio;
+        canvas.height = canvas.clientHeight * ratio;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        dirty = true;
+    }
+
+    function draw() {
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        ctx.clearRect(0, 0, width, height);
+        ctx.save();
+        ctx.translate(width / 2 + view.x, height / 2 + view.y);
+        ctx.scale(view.scale, view.scale);
+
+        ctx.lineWidth = 1 / view.scale;
+        for (const { source, target } of edges) {
+            const active = hovered && (source === hovered || target === hovered);
+            ctx.strokeStyle = active ? colors.focus : colors.edge;
+            ctx.beginPath();
+            ctx.moveTo(source.x, source.y);
+            ctx.lineTo(target.x, target.y);
+            ctx.stroke();
+        }
+
+        ctx.font = `${12 / view.scale}px sans-serif`;
+        ctx.textAlign = 'center';
+        for (const node of nodes) {
+            const focused = node.path === focusPath || node === hovered;
+            ctx.fillStyle = focused ? colors.focus : colors.node;
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, radius(node), 0, Math.PI * 2);
+            ctx.fill();
+            // Label every page in small graphs, otherwise only the focused ones
+            if (focused || nodes.length <= 60 || view.scale >= 2) {
+                ctx.fillStyle = colors.text;
+                ctx.fillText(node.title, node.x, node.y - radius(node) - 4 / view.scale);
+            }
+        }
+        ctx.restore();
+    }
+
+    function frame() {
+        // Stop once the view has been replaced by another page
+        if (!canvas.isConnected) {
+            window.removeEventListener('resize', resize);
+            return;
+        }
+        if (alpha > 0.01) {
+            step();
+            dirty = true;
+        }
+        if (dirty) {
+            draw();
+            dirty = false;
+        }
+        requestAnimationFrame(frame);
+    }
+
+    // Canvas pixel -> layout coordinates
+    function toLayout(e) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left - rect.width / 2 - view.x) / view.scale,
+            y: (e.clientY - rect.top - rect.height / 2 - view.y) / view.scale,
+        };
+    }
+
+    function nodeAt(e) {
+        const point = toLayout(e);
+        return nodes.find(node => Math.hypot(node.x - point.x, node.y - point.y) <= radius(node) + 3 / view.scale) || null;
+    }
+
+    canvas.addEventListener('mousedown', (e) => {
+        drag = { x: e.clientX, y: e.clientY, moved: false };
+    });
+    canvas.addEventListener('mousemove', (e) => {
+        if (drag) {
+            if (Math.abs(e.clientX - drag.x) + Math.abs(e.clientY - drag.y) > 3) drag.moved = true;
+            view.x += e.movementX;
+            view.y += e.movementY;
+            dirty = true;
+            return;
+        }
+        const node = nodeAt(e);
+        if (node !== hovered) {
+            hovered = node;
+            canvas.style.cursor = node ? 'pointer' : 'grab';
+            canvas.title = node ? node.path : '';
+            dirty = true;
+        }
+    });
+    canvas.addEventListener('mouseup', (e) => {
+        const clicked = drag && !drag.moved ? nodeAt(e) : null;
+        drag = null;
+        if (clicked) navigateTo(clicked.path);
+    });
+    canvas.addEventListener('mouseleave', () => {
+        drag = null;
+        hovered = null;
+        dirty = true;
+    });
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        // Zoom around the pointer
+        const rect = canvas.getBoundingClientRect();
+        const px = e.clientX - rect.left - rect.width / 2;
+        const py = e.clientY - rect.top - rect.height / 2;
+        const scale = Math.min(Math.max(view.scale * Math.exp(-e.deltaY * 0.001), 0.2), 5);
+        view.x = px - (px - view.x) * scale / view.scale;
+        view.y = py - (py - view.y) * scale / view.scale;
+        view.scale = scale;
+        dirty = true;
+    }, { passive: false });
+
+    window.addEventListener('resize', resize);
+    resize();
+    requestAnimationFrame(frame);
+}
+
 // Wikilink handling
 function attachWikilinkHandlers() {
     // Attach click handlers to all wikilinks
@@ -252,12 +827,17 @@ async function handleWikilinkClick(e) {
 
     const link = e.currentTarget;
     const pagePath = link.dataset.page;
+    const anchor = link.dataset.anchor;
     const exists = link.dataset.exists === 'true';
     const title = link.textContent;
 
-    if (exists) {
+    if (exists && anchor && pagePath === currentPage) {
+        // Section of the page we're on: just scroll
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}#${encodeURIComponent(anchor)}`);
+        scrollToAnchor(anchor);
+    } else if (exists) {
         // Page exists, just navigate to it
-        navigateTo(pagePath);
+        navigateTo(pagePath, anchor);
     } else {
         // Page doesn't exist, create it first
         try {
@@ -267,12 +847,13 @@ async function handleWikilinkClick(e) {
                 body: JSON.stringify({ path: pagePath, title: title })
             });
 
+            const data = await response.json();
             if (!response.ok) {
-                const data = await response.json();
                 throw new Error(data.error || 'Failed to create page');
             }
 
-            showNotification(`Created new page: ${title}`, 'success');
+            const fromTemplate = data.template ? ` from the ${data.template} template` : '';
+            showNotification(`Created new page: ${title}${fromTemplate}`, 'success');
 
             // Reload tree to show new page
             await loadTree();
@@ -286,6 +867,103 @@ async function handleWikilinkClick(e) {
     }
 }
 
+// Search
+let searchSelection = -1;
+
+function setupSearch() {
+    const input = document.getElementById('searchInput');
+    const results = document.getElementById('searchResults');
+
+    input.addEventListener('input', debounce(() => runSearch(input.value), 200));
+
+    input.addEventListener('keydown', (e) => {
+        const items = results.querySelectorAll('.search-result');
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!items.length) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            searchSelection = (searchSelection + step + items.length) % items.length;
+            items.forEach((item, i) => item.classList.toggle('selected', i === searchSelection));
+            items[searchSelection].scrollIntoView({ block: 'nearest' });
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const item = items[searchSelection >= 0 ? searchSelection : 0];
+            if (item) openSearchResult(item.dataset.path);
+        } else if (e.key === 'Escape') {
+            closeSearch();
+            input.blur();
+        }
+    });
+
+    // Close the dropdown when clicking anywhere else
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.search-box')) closeSearch();
+    });
+
+    // "/" focuses the search box (unless the user is typing somewhere)
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+        const tag = document.activeElement && document.activeElement.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+        e.preventDefault();
+        input.focus();
+        input.select();
+    });
+}
+
+async function runSearch(query) {
+    const results = document.getElementById('searchResults');
+    query = query.trim();
+    searchSelection = -1;
+
+    if (!query) {
+        closeSearch();
+        return;
+    }
+
+    try {
+        const response = await authFetch(`/api/search?q=${encodeURIComponent(query)}`);
+        if (!response.ok) throw new Error('Search failed');
+        const data = await response.json();
+
+        // Ignore responses for a query the user has already typed past
+        if (document.getElementById('searchInput').value.trim() !== query) return;
+
+        if (data.count === 0) {
+            results.innerHTML = `<div class="search-empty">No pages match "${escapeHtml(query)}"</div>`;
+        } else {
+            results.innerHTML = data.results.map(r => `
+                <div class="search-result" data-path="${escapeHtml(r.path)}">
+                    <div class="search-result-title">${escapeHtml(r.title)}</div>
+                    <div class="search-result-path">${escapeHtml(r.path)}</div>
+                    <div class="search-result-snippet">${r.snippet}</div>
+                </div>
+            `).join('');
+            results.querySelectorAll('.search-result').forEach(item => {
+                item.addEventListener('click', () => openSearchResult(item.dataset.path));
+            });
+        }
+        results.classList.add('open');
+    } catch (error) {
+        console.error('Error searching:', error);
+    }
+}
+
+function openSearchResult(path) {
+    const input = document.getElementById('searchInput');
+    input.value = '';
+    input.blur();
+    closeSearch();
+    navigateTo(path);
+}
+
+function closeSearch() {
+    const results = document.getElementById('searchResults');
+    results.classList.remove('open');
+    results.innerHTML = '';
+    searchSelection = -1;
+}
+
 // Breadcrumbs
 function updateBreadcrumbs() {
     const parts = currentPage.split('/').filter(p => p && p !== 'home');
@@ -304,7 +982,7 @@ function updateBreadcrumbs() {
     parts.forEach((part, index) => {
         path += (path ? '/' : '') + part;
         const isLast = index === parts.length - 1;
-        const displayName = part.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+        const displayName = part.replace(/^_/, '').replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
 
         if (isLast) {
             html += `<span class="separator">/</span><span>${displayName}</span>`;
@@ -376,12 +1054,14 @@ function buildTreeHTML(items, level = 0) {
 
     items.forEach(item => {
         const hasChildren = item.children && item.children.length > 0;
+        // Pages can be dragged onto folders to move them; home stays put
+        const draggable = item.path === 'home' ? '' : ' draggable="true"';
 
         if (item.type === 'page-parent') {
             // Page with content AND children - clickable name + expandable
             html += `
                 <div class="tree-item-container">
-                    <div class="tree-item tree-page-parent" data-path="${item.path}" data-has-children="true">
+                    <div class="tree-item tree-page-parent" data-path="${item.path}" data-has-children="true"${draggable}>
                         <span class="tree-expand-icon">▸</span>
                         <span class="tree-name">${item.name}</span>
                     </div>
@@ -393,7 +1073,7 @@ function buildTreeHTML(items, level = 0) {
         } else if (item.type === 'page') {
             // Page with content but no children - just clickable
             html += `
-                <div class="tree-item tree-page" data-path="${item.path}" data-has-children="false">
+                <div class="tree-item tree-page" data-path="${item.path}" data-has-children="false"${draggable}>
                     <span class="tree-name">${item.name}</span>
                 </div>
             `;
@@ -416,6 +1096,147 @@ function buildTreeHTML(items, level = 0) {
     return html;
 }
 
+// Drag-and-drop in the page tree: drop a page on a folder (or a page with
+// children) to move it there, or on the empty space below to move it to the
+// top level. The tree is rebuilt on every load, so listeners live on #tree.
+let treeDragPath = null;
+let pendingMove = null;
+
+const parentFolder = pagePath => pagePath.split('/').slice(0, -1).join('/');
+
+// Folder the pointer is over, as { element, folder }, or null
+function treeDropTarget(e) {
+    if (e.target === tree) return { element: tree, folder: '' };
+    const item = e.target.closest('.tree-folder, .tree-page-parent');
+    return item ? { element: item, folder: item.dataset.path } : null;
+}
+
+function canMoveInto(pagePath, folder) {
+    return folder !== parentFolder(pagePath) && folder !== pagePath && !folder.startsWith(pagePath + '/');
+}
+
+function markDropTarget(element) {
+    tree.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    tree.classList.remove('drop-target');
+    if (element) element.classList.add('drop-target');
+}
+
+function setupTreeDragAndDrop() {
+    tree.addEventListener('dragstart', (e) => {
+        const item = e.target.closest && e.target.closest('.tree-item[draggable="true"]');
+        if (!item) return;
+        treeDragPath = item.dataset.path;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', treeDragPath);
+        item.classList.add('dragging');
+    });
+    tree.addEventListener('dragend', () => {
+        treeDragPath = null;
+        tree.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+        markDropTarget(null);
+    });
+    tree.addEventListener('dragover', (e) => {
+        if (!treeDragPath) return;
+        const target = treeDropTarget(e);
+        if (!target || !canMoveInto(treeDragPath, target.folder)) {
+            markDropTarget(null);
+            return;
+        }
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        markDropTarget(target.element);
+    });
+    tree.addEventListener('dragleave', (e) => {
+        if (!tree.contains(e.relatedTarget)) markDropTarget(null);
+    });
+    tree.addEventListener('drop', (e) => {
+        if (!treeDragPath) return;
+        const target = treeDropTarget(e);
+        markDropTarget(null);
+        if (!target || !canMoveInto(treeDragPath, target.folder)) return;
+        e.preventDefault();
+        const name = treeDragPath.split('/').pop();
+        openMoveModal(treeDragPath, target.folder ? `${target.folder}/${name}` : name);
+    });
+}
+
+// Confirm a move, showing how many links will be rewritten
+async function openMoveModal(oldPath, newPath) {
+    pendingMove = { oldPath, newPath };
+    document.getElementById('movePageName').textContent = oldPath;
+    document.getElementById('moveDestination').textContent = parentFolder(newPath) || 'the top level';
+
+    // Child pages move too, and links to them are rewritten as well
+    const item = [...tree.querySelectorAll('.tree-item')].find(el => el.dataset.path === oldPath);
+    const children = item && item.classList.contains('tree-page-parent')
+        ? [...item.closest('.tree-item-container').querySelectorAll('.tree-children .tree-page, .tree-children .tree-page-parent')]
+            .map(el => el.dataset.path)
+        : [];
+    const moveChildren = document.getElementById('moveChildren');
+    moveChildren.textContent = `${pluralize(children.length, 'child page')} will move with it.`;
+    moveChildren.style.display = children.length ? 'block' : 'none';
+
+    const info = document.getElementById('moveReferencesInfo');
+    info.style.display = 'none';
+    openModal('moveModal');
+
+    try {
+        const results = await Promise.all([oldPath, ...children].map(pagePath =>
+            authFetch(`/api/references/${pagePath}`).then(response => response.json())));
+        const linksByPage = new Map();
+        for (const { references = [] } of results) {
+            for (const ref of references) linksByPage.set(ref.file, (linksByPage.get(ref.file) || 0) + ref.total);
+        }
+        const total = [...linksByPage.values()].reduce((sum, count) => sum + count, 0);
+        if (total > 0 && pendingMove && pendingMove.oldPath === oldPath) {
+            document.getElementById('moveReferencesCount').textContent = total;
+            document.getElementById('moveReferencingPages').textContent = linksByPage.size;
+            document.getElementById('moveReferencesList').innerHTML = [...linksByPage].map(([file, count]) =>
+                `<div>📄 ${escapeHtml(file)} (${pluralize(count, 'link')})</div>`
+            ).join('');
+            info.style.display = 'block';
+        }
+    } catch (error) {
+        console.error('Error loading references:', error);
+    }
+}
+
+async function executeMove() {
+    if (!pendingMove) return;
+    const { oldPath, newPath } = pendingMove;
+
+    try {
+        const response = await authFetch('/api/move', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                oldPath,
+                newPath,
+                leaveRedirect: document.getElementById('moveLeaveRedirect').checked
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to move page');
+        }
+
+        showNotification(`Page moved! ${data.updatedCount} page(s) updated.`, 'success');
+        closeModal('moveModal');
+        pendingMove = null;
+        await loadTree();
+
+        // Follow the open page if it moved, or show its rewritten links
+        if (currentPage === oldPath || currentPage.startsWith(oldPath + '/')) {
+            navigateTo(data.newPath + currentPage.slice(oldPath.length));
+        } else if (data.updatedPages.includes(currentPage)) {
+            loadPage(currentPage);
+        }
+    } catch (error) {
+        showNotification(`Move error: ${error.message}`, 'error');
+        console.error(error);
+    }
+}
+
 function toggleFolder(itemElement) {
     const container = itemElement.closest('.tree-item-container');
     if (!container) return;
@@ -477,6 +1298,7 @@ function enterEditMode() {
 
     const raw = editor.getAttribute('data-raw') || '';
     editor.value = raw;
+    editorBaseVersion = editor.getAttribute('data-version') || null;
 
     // Update file path display
     const filePath = `pages/${currentPage}.md`;
@@ -494,13 +1316,23 @@ function exitEditMode() {
 async function savePage() {
     const raw = editor.value;
 
+    if (/^<{7} /m.test(raw) && /^>{7} /m.test(raw) &&
+        !confirm('The page still contains conflict markers (<<<<<<< / >>>>>>>). Save anyway?')) {
+        return;
+    }
+
     try {
         const response = await authFetch(`/api/page/${currentPage}`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ content: raw })
+            body: JSON.stringify({ content: raw, baseVersion: editorBaseVersion })
         });
 
+        if (response.status === 409) {
+            openConflictModal(await response.json());
+            return;
+        }
+
         if (!response.ok) {
             const data = await response.json().catch(() => ({}));
             throw new Error(data.error || `Server error (${response.status})`);
@@ -515,6 +1347,63 @@ async function savePage() {
     }
 }
 
+// Edit conflicts: the page was saved by someone else after the editor loaded it
+let editorBaseVersion = null;
+let pendingConflict = null;
+
+function openConflictModal(conflict) {
+    pendingConflict = conflict;
+    document.getElementById('conflictStats').innerHTML =
+        `<span class="diff-stat-add">+${conflict.diff.stats.added}</span> ` +
+        `<span class="diff-stat-del">−${conflict.diff.stats.removed}</span>`;
+    renderDiff(conflict.diff, 'conflictDiffContent', 'split');
+    openModal('conflictModal');
+}
+
+// Combine both versions into one text, marking every differing stretch
+// git-style so the user can resolve them in the editor
+function mergeWithConflictMarkers(lines) {
+    const out = [];
+    for (let i = 0; i < lines.length; i++) {
+        if (lines[i].type === 'equal') {
+            out.push(lines[i].text);
+            continue;
+        }
+        const theirs = [];
+        const mine = [];
+        while (i < lines.length && lines[i].type !== 'equal') {
+            (lines[i].type === 'delete' ? theirs : mine).push(lines[i].text);
+            i++;
+        }
+        i--;
+        out.push('<<<<<<< saved version', ...theirs, '=======', ...mine, '>>>>>>> your changes');
+    }
+    return out.join('\n');
+}
+
+function resolveConflict(action) {
+    if (!pendingConflict) return;
+    const conflict = pendingConflict;
+    pendingConflict = null;
+    closeModal('conflictModal');
+
+    // Every choice continues from the version now on the wiki
+    editorBaseVersion = conflict.currentVersion;
+    editor.setAttribute('data-raw', conflict.currentContent);
+    editor.setAttribute('data-version', conflict.currentVersion);
+
+    if (action === 'merge') {
+        editor.value = mergeWithConflictMarkers(conflict.diff.lines);
+        editor.focus();
+        showNotification('Resolve the marked sections, then save', 'info');
+    } else if (action === 'overwrite') {
+        savePage();
+    } else {
+        editor.value = conflict.currentContent;
+        showNotification('Your changes were discarded', 'info');
+    }
+}
+
 function openPreview() {
     const raw = editor.value;
 
@@ -571,10 +1460,41 @@ function openPreview() {
     previewWindow.document.close();
 }
 
+// New page modal, with the template picker filled in
+function openNewPageModal() {
+    newPageTemplatePicked = false;
+    openModal('newPageModal');
+    loadTemplateOptions();
+}
+
+// Until a template is picked by hand, the picker follows the default
+// template of the folder the path points into
+async function loadTemplateOptions() {
+    const select = document.getElementById('pageTemplate');
+    const pagePath = document.getElementById('pagePath').value.trim();
+    let selected = select.value;
+    let templates = [];
+    try {
+        const response = await authFetch(`/api/templates?path=${encodeURIComponent(pagePath)}`);
+        if (response.ok) {
+            const data = await response.json();
+            templates = data.templates;
+            if (!newPageTemplatePicked) selected = data.defaultTemplate || '';
+        }
+    } catch (error) {
+        console.error('Error loading templates:', error);
+    }
+    select.innerHTML = '<option value="">Blank page</option>' +
+        templates.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+    select.value = templates.includes(selected) ? selected : '';
+    document.getElementById('pageTemplateField').style.display = templates.length ? '' : 'none';
+}
+
 // Create new page
 async function createNewPage() {
     const title = document.getElementById('pageTitle').value.trim();
     const path = document.getElementById('pagePath').value.trim();
+    const template = document.getElementById('pageTemplate').value;
 
     if (!title || !path) {
         showNotification('Please fill in all fields', 'error');
@@ -585,7 +1505,7 @@ async function createNewPage() {
         const response = await authFetch('/api/create', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ path, title })
+            body: JSON.stringify({ path, title, template })
         });
 
         if (!response.ok) {
@@ -601,6 +1521,7 @@ async function createNewPage() {
         // Clear form
         document.getElementById('pageTitle').value = '';
         document.getElementById('pagePath').value = '';
+        document.getElementById('pageTemplate').value = '';
     } catch (error) {
         showNotification(error.message, 'error');
         console.error(error);
@@ -611,7 +1532,7 @@ async function createNewPage() {
 window.createPageAtPath = function(path) {
     document.getElementById('pagePath').value = path;
     document.getElementById('pageTitle').value = path.split('/').pop().replace(/-/g, ' ');
-    openModal('newPageModal');
+    openNewPageModal();
 };
 
 // Image handling
@@ -710,6 +1631,235 @@ async function executeBackup() {
     }
 }
 
+// Page history
+let historyCommits = [];
+let historyRevision = null;
+let diffMode = 'inline';
+let lastDiff = null;
+
+function describeCommit(commit) {
+    return `${commit.shortHash} · ${escapeHtml(commit.author)} · ${new Date(commit.date).toLocaleString()}`;
+}
+
+function showHistoryPanel(panelId) {
+    ['historyListView', 'historyRevision', 'historyDiff'].forEach(id => {
+        document.getElementById(id).style.display = id === panelId ? 'block' : 'none';
+    });
+}
+
+async function openHistoryModal() {
+    const list = document.getElementById('historyList');
+    document.getElementById('historyPagePath').textContent = `pages/${currentPage}.md`;
+    document.getElementById('compareSelectedBtn').disabled = true;
+    list.innerHTML = '<p class="help-text">Loading…</p>';
+    historyCommits = [];
+    showHistoryPanel('historyListView');
+    openModal('historyModal');
+
+    try {
+        const response = await authFetch(`/api/history/${currentPage}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load history');
+
+        if (data.error) {
+            list.innerHTML = '<p class="help-text">History is not available yet: the wiki is not a git repository. Use Backup to create one.</p>';
+            return;
+        }
+        if (data.count === 0) {
+            list.innerHTML = '<p class="help-text">No revisions of this page have been committed yet.</p>';
+            return;
+        }
+
+        historyCommits = data.commits;
+        list.innerHTML = data.commits.map(commit => `
+            <div class="history-item" data-rev="${commit.hash}">
+                <input type="checkbox" class="history-select" data-rev="${commit.hash}" title="Select for comparison">
+                <div class="history-item-body">
+                    <div class="history-message">${escapeHtml(commit.message)}</div>
+                    <div class="history-meta">${describeCommit(commit)}</div>
+                </div>
+            </div>
+        `).join('');
+        list.querySelectorAll('.history-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                if (e.target.classList.contains('history-select')) return;
+                showRevision(item.dataset.rev);
+            });
+        });
+        list.querySelectorAll('.history-select').forEach(box => {
+            box.addEventListener('change', () => {
+                const checked = list.querySelectorAll('.history-select:checked');
+                // Keep at most two revisions ticked
+                if (checked.length > 2) box.checked = false;
+                const count = list.querySelectorAll('.history-select:checked').length;
+                document.getElementById('compareSelectedBtn').disabled = count === 0;
+            });
+        });
+    } catch (error) {
+        list.innerHTML = `<p class="error-text">${escapeHtml(error.message)}</p>`;
+        console.error(error);
+    }
+}
+
+async function showRevision(rev) {
+    try {
+        const response = await authFetch(`/api/history/${currentPage}/${rev}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load revision');
+
+        historyRevision = data.commit.hash;
+        const index = historyCommits.findIndex(c => c.hash === historyRevision);
+        document.getElementById('diffPreviousBtn').disabled = index === -1 || index === historyCommits.length - 1;
+        document.getElementById('historyRevisionLabel').innerHTML = describeCommit(data.commit);
+        document.getElementById('historyRevisionContent').innerHTML = data.content;
+        showHistoryPanel('historyRevision');
+    } catch (error) {
+        showNotification(`History error: ${error.message}`, 'error');
+        console.error(error);
+    }
+}
+
+async function restoreRevision() {
+    const commit = historyCommits.find(c => c.hash === historyRevision);
+    const label = commit ? commit.shortHash : historyRevision.slice(0, 7);
+    if (!confirm(`Restore this page to revision ${label}? The current content will be replaced; it stays available in the history.`)) {
+        return;
+    }
+
+    try {
+        const response = await authFetch(`/api/history/${currentPage}/restore`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rev: historyRevision })
+        });
+
+        if (!response.ok) {
+            if (handleAuthFailure(response.status)) return;
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Server error (${response.status})`);
+        }
+
+        showNotification(`Page restored to revision ${label}`, 'success');
+        closeModal('historyModal');
+        loadPage(currentPage);
+    } catch (error) {
+        showNotification(`Restore error: ${error.message}`, 'error');
+        console.error(error);
+    }
+}
+
+function compareSelectedRevisions() {
+    const selected = [...document.querySelectorAll('.history-select:checked')].map(box => box.dataset.rev);
+    if (selected.length === 1) {
+        showDiff(selected[0], 'current');
+    } else if (selected.length === 2) {
+        // The list is newest first, so the lower entry is the older revision
+        const [newer, older] = selected;
+        showDiff(older, newer);
+    }
+}
+
+async function showDiff(from, to) {
+    try {
+        const params = new URLSearchParams({ from, to });
+        const response = await authFetch(`/api/diff/${currentPage}?${params}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load diff');
+
+        const label = side => side.commit ? side.commit.shortHash : 'current';
+        document.getElementById('historyDiffLabel').innerHTML =
+            `${label(data.from)} → ${label(data.to)} · ` +
+            `<span class="diff-stat-add">+${data.stats.added}</span> ` +
+            `<span class="diff-stat-del">−${data.stats.removed}</span>`;
+        lastDiff = data;
+        renderDiff(data);
+        showHistoryPanel('historyDiff');
+    } catch (error) {
+        showNotification(`Diff error: ${error.message}`, 'error');
+        console.error(error);
+    }
+}
+
+// Escaped line text, with changed words wrapped in <ins>/<del> when available
+function diffLineHtml(line) {
+    if (!line.words) return escapeHtml(line.text) || '&nbsp;';
+    return line.words.map(w => {
+        if (w.type === 'delete') return `<del>${escapeHtml(w.value)}</del>`;
+        if (w.type === 'insert') return `<ins>${escapeHtml(w.value)}</ins>`;
+        return escapeHtml(w.value);
+    }).join('') || '&nbsp;';
+}
+
+// Collapse long unchanged stretches, keeping a few lines of context
+function collapseDiffLines(lines, context = 3) {
+    const keep = lines.map(() => false);
+    lines.forEach((line, i) => {
+        if (line.type === 'equal') return;
+        for (let j = Math.max(0, i - context); j <= Math.min(lines.length - 1, i + context); j++) keep[j] = true;
+    });
+
+    const rows = [];
+    let skipped = 0;
+    lines.forEach((line, i) => {
+        if (keep[i]) {
+            if (skipped) rows.push({ type: 'skip', count: skipped });
+            skipped = 0;
+            rows.push(line);
+        } else {
+            skipped++;
+        }
+    });
+    if (skipped) rows.push({ type: 'skip', count: skipped });
+    return rows;
+}
+
+function renderDiff(data, containerId = 'historyDiffContent', mode = diffMode) {
+    const container = document.getElementById(containerId);
+    if (data.stats.added === 0 && data.stats.removed === 0) {
+        container.innerHTML = '<p class="help-text">These versions are identical.</p>';
+        return;
+    }
+
+    const rows = collapseDiffLines(data.lines);
+    const skipRow = (row, cols) => `<tr class="diff-skip"><td colspan="${cols}">⋯ ${row.count} unchanged line${row.count > 1 ? 's' : ''}</td></tr>`;
+    const num = n => `<td class="diff-num">${n || ''}</td>`;
+    let html = '';
+
+    if (mode === 'inline') {
+        html = rows.map(row => {
+            if (row.type === 'skip') return skipRow(row, 4);
+            const sign = row.type === 'insert' ? '+' : row.type === 'delete' ? '−' : '';
+            return `<tr class="diff-${row.type}">${num(row.oldLine)}${num(row.newLine)}<td class="diff-sign">${sign}</td><td class="diff-text">${diffLineHtml(row)}</td></tr>`;
+        }).join('');
+    } else {
+        // Side by side: pair each run of deletions with the insertions after it
+        for (let i = 0; i < rows.length; i++) {
+            const row = rows[i];
+            if (row.type === 'skip') { html += skipRow(row, 4); continue; }
+            if (row.type === 'equal') {
+                const text = diffLineHtml(row);
+                html += `<tr class="diff-equal">${num(row.oldLine)}<td class="diff-text">${text}</td>${num(row.newLine)}<td class="diff-text">${text}</td></tr>`;
+                continue;
+            }
+            const deleted = [];
+            const inserted = [];
+            while (i < rows.length && rows[i].type === 'delete') deleted.push(rows[i++]);
+            while (i < rows.length && rows[i].type === 'insert') inserted.push(rows[i++]);
+            i--;
+            for (let j = 0; j < Math.max(deleted.length, inserted.length); j++) {
+                const left = deleted[j];
+                const right = inserted[j];
+                html += '<tr>' +
+                    (left ? `${num(left.oldLine)}<td class="diff-text diff-delete">${diffLineHtml(left)}</td>` : '<td class="diff-num"></td><td class="diff-text diff-empty"></td>') +
+                    (right ? `${num(right.newLine)}<td class="diff-text diff-insert">${diffLineHtml(right)}</td>` : '<td class="diff-num"></td><td class="diff-text diff-empty"></td>') +
+                    '</tr>';
+            }
+        }
+    }
+
+    container.innerHTML = `<table class="diff-table diff-${mode}">${html}</table>`;
+}
+
 // Page rename
 async function openRenameModal() {
     if (currentPage === 'home') {
@@ -717,16 +1867,18 @@ async function openRenameModal() {
         return;
     }
 
-    // Get current page name (last part of path)
+    // Get current page name (last part of path) and its folder
     const parts = currentPage.split('/');
     const currentName = parts[parts.length - 1];
 
     document.getElementById('currentPageName').value = currentName;
     document.getElementById('newPageName').value = currentName;
+    document.getElementById('newPageFolder').value = parts.slice(0, -1).join('/');
+    resetRenamePreview();
 
     // Load references
     try {
-        const response = await fetch(`/api/references/${currentPage}`);
+        const response = await authFetch(`/api/references/${currentPage}`);
         const data = await response.json();
 
         if (data.count > 0) {
@@ -760,6 +1912,46 @@ function validatePageName(e) {
     e.target.value = value.toLowerCase();
 }
 
+function validateFolderPath(e) {
+    // Same as page names, with slashes between folders
+    e.target.value = e.target.value
+        .replace(/\s+/g, '-')
+        .replace(/[^a-z0-9/-]/gi, '')
+        .replace(/\/{2,}/g, '/')
+        .toLowerCase();
+}
+
+// Renames are previewed with a dry run first; the preview is for one target
+// path and is dropped as soon as the name or folder is edited
+let renamePreviewPath = null;
+
+function resetRenamePreview() {
+    renamePreviewPath = null;
+    document.getElementById('renamePreview').style.display = 'none';
+    document.getElementById('executeRenameBtn').textContent = 'Preview Changes';
+}
+
+function renderRenamePreview(data) {
+    const container = document.getElementById('renamePreview');
+    const children = data.moved.length - 1;
+    let html = `<p class="help-text">${escapeHtml(data.oldPath)} → <strong>${escapeHtml(data.newPath)}</strong>` +
+        (children ? `, with ${pluralize(children, 'child page')}` : '') + '.</p>';
+    if (data.changes.length === 0) {
+        html += '<p class="help-text">No links need updating.</p>';
+    } else {
+        html += `<p class="help-text">Links will be rewritten in ${pluralize(data.changes.length, 'page')}:</p>` +
+            data.changes.map((change, i) => `
+                <div class="rename-preview-file">
+                    <div class="rename-preview-name">📄 ${escapeHtml(change.path)}</div>
+                    <div id="renamePreviewDiff${i}"></div>
+                </div>
+            `).join('');
+    }
+    container.innerHTML = html;
+    data.changes.forEach((change, i) => renderDiff(change.diff, `renamePreviewDiff${i}`, 'inline'));
+    container.style.display = 'block';
+}
+
 async function executerename() {
     const newName = document.getElementById('newPageName').value.trim();
 
@@ -773,15 +1965,35 @@ async function executerename() {
         return;
     }
 
+    const folder = document.getElementById('newPageFolder').value.replace(/^\/+|\/+$/g, '');
+    const currentFolder = currentPage.split('/').slice(0, -1).join('/');
+    const newPath = folder ? `${folder}/${newName.toLowerCase()}` : newName.toLowerCase();
+    const dryRun = renamePreviewPath !== newPath;
+    const leaveRedirect = document.getElementById('leaveRedirect').checked;
+
     try {
-        const response = await authFetch('/api/rename', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                oldPath: currentPage,
-                newName: newName
+        // A new folder makes it a move; otherwise just rename in place
+        const response = folder === currentFolder
+            ? await authFetch('/api/rename', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    oldPath: currentPage,
+                    newName: newName,
+                    dryRun,
+                    leaveRedirect
+                })
             })
-        });
+            : await authFetch('/api/move', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    oldPath: currentPage,
+                    newPath,
+                    dryRun,
+                    leaveRedirect
+                })
+            });
 
         if (!response.ok) {
             const data = await response.json();
@@ -790,8 +2002,16 @@ async function executerename() {
 
         const data = await response.json();
 
+        // Show what will change and wait for the user to confirm
+        if (dryRun) {
+            renderRenamePreview(data);
+            renamePreviewPath = newPath;
+            document.getElementById('executeRenameBtn').textContent = folder === currentFolder ? 'Confirm Rename' : 'Confirm Move';
+            return;
+        }
+
         showNotification(
-            `Page renamed! ${data.updatedCount} page(s) updated.`,
+            `Page ${folder === currentFolder ? 'renamed' : 'moved'}! ${data.updatedCount} page(s) updated.`,
             'success'
         );
 
@@ -852,7 +2072,7 @@ async function executeDelete() {
             throw new Error(data.error || 'Failed to delete page');
         }
 
-        showNotification('Page deleted successfully', 'success');
+        showNotification('Page moved to the trash', 'success');
 
         closeModal('deleteModal');
 
@@ -977,9 +2197,11 @@ function openAdmin() {
     // Reload logo preview in admin panel
     loadLogo();
 
-    // Load auth configuration status and user management
+    // Load auth configuration status, user management, templates and the trash
     loadAuthStatus();
     loadUserManagement();
+    loadTemplates();
+    loadTrash();
 }
 
 function exitAdmin() {
@@ -1123,7 +2345,7 @@ async function loadAuthStatus() {
         const writeButtons = [
             'saveAuthConfigBtn', 'saveSupabaseConfigBtn', 'saveSpecialPageBtn',
             'saveConfigBtn', 'editConfigBtn', 'uploadLogoBtn', 'deleteLogoBtn',
-            'saveUserRolesBtn',
+            'saveUserRolesBtn', 'emptyTrashBtn', 'newTemplateBtn', 'saveTemplateBtn',
         ];
         writeButtons.forEach(id => {
             const el = document.getElementById(id);
@@ -1210,6 +2432,185 @@ async function saveUserRoles() {
     showNotification('User roles saved.', 'success');
 }
 
+// Page templates (wiki admins only)
+async function loadTemplates() {
+    const container = document.getElementById('templateList');
+    if (!container) return;
+    container.innerHTML = '<p class="help-text">Loading…</p>';
+    try {
+        const resp = await authFetch('/api/templates');
+        if (!resp.ok) { container.innerHTML = '<p class="help-text">Not available.</p>'; return; }
+        const { templates } = await resp.json();
+        if (!templates.length) {
+            container.innerHTML = '<p class="help-text">No templates yet.</p>';
+            return;
+        }
+        container.innerHTML = `
+            <div class="special-pages-list">
+                ${templates.map(name => `
+                <div class="special-page-item">
+                    <span class="page-icon">📋</span>
+                    <span class="page-name">${escapeHtml(name)}</span>
+                    <button class="btn btn-small template-edit" data-name="${escapeHtml(name)}">Edit</button>
+                    <button class="btn btn-small btn-danger template-delete" data-name="${escapeHtml(name)}">Delete</button>
+                </div>`).join('')}
+            </div>`;
+        container.querySelectorAll('.template-edit').forEach(btn => {
+            btn.addEventListener('click', () => openTemplateEditor(btn.dataset.name));
+        });
+        container.querySelectorAll('.template-delete').forEach(btn => {
+            btn.addEventListener('click', () => deleteTemplate(btn.dataset.name));
+        });
+    } catch {
+        container.innerHTML = '<p class="help-text">Could not load templates.</p>';
+    }
+}
+
+// Edit a template, or start a new one when name is null
+async function openTemplateEditor(name) {
+    currentTemplate = name;
+    const nameInput = document.getElementById('templateName');
+    let content = '# {{title}}\n\n';
+    if (name) {
+        try {
+            const resp = await authFetch(`/api/templates/${encodeURIComponent(name)}`);
+            if (!resp.ok) throw new Error(`Server error (${resp.status})`);
+            ({ content } = await resp.json());
+        } catch (error) {
+            showNotification('Error loading template', 'error');
+            console.error(error);
+            return;
+        }
+    }
+    document.getElementById('templateModalTitle').textContent = name ? `Edit Template: ${name}` : 'New Template';
+    nameInput.value = name || '';
+    nameInput.disabled = Boolean(name);
+    document.getElementById('templateEditor').value = content;
+    openModal('templateModal');
+}
+
+async function saveTemplate() {
+    const name = currentTemplate || document.getElementById('templateName').value.trim().toLowerCase().replace(/\s+/g, '-');
+    if (!/^[a-z0-9-]+$/.test(name)) {
+        showNotification('Template names can only contain letters, numbers, and hyphens', 'error');
+        return;
+    }
+
+    try {
+        const resp = await authFetch(`/api/templates/${name}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content: document.getElementById('templateEditor').value })
+        });
+        if (!resp.ok) {
+            if (handleAuthFailure(resp.status)) return;
+            const data = await resp.json().catch(() => ({}));
+            throw new Error(data.error || `Server error (${resp.status})`);
+        }
+        showNotification(`Template ${name} saved`, 'success');
+        closeModal('templateModal');
+        await loadTemplates();
+    } catch (error) {
+        showNotification(`Error saving template: ${error.message}`, 'error');
+        console.error(error);
+    }
+}
+
+async function deleteTemplate(name) {
+    if (!confirm(`Delete the template "${name}"? Pages already created from it are not changed.`)) return;
+    const resp = await authFetch(`/api/templates/${name}`, { method: 'DELETE' });
+    if (!resp.ok) {
+        if (handleAuthFailure(resp.status)) return;
+        showNotification('Error deleting template', 'error');
+        return;
+    }
+    await loadTemplates();
+}
+
+// Trash (wiki admins only)
+async function loadTrash() {
+    const container = document.getElementById('trashList');
+    if (!container) return;
+    container.innerHTML = '<p class="help-text">Loading…</p>';
+    try {
+        const resp = await authFetch('/api/trash');
+        if (!resp.ok) { container.innerHTML = '<p class="help-text">Not available.</p>'; return; }
+        const { items } = await resp.json();
+        document.getElementById('emptyTrashBtn').style.display = items.length ? '' : 'none';
+        if (!items.length) {
+            container.innerHTML = '<p class="help-text">The trash is empty.</p>';
+            return;
+        }
+        container.innerHTML = `
+            <table class="user-table trash-table">
+                <thead><tr><th>Page</th><th>Deleted by</th><th>Deleted</th><th></th></tr></thead>
+                <tbody>
+                    ${items.map(item => `
+                    <tr>
+                        <td>
+                            <strong>${escapeHtml(item.title)}</strong>
+                            <div class="help-text">${escapeHtml(item.path)}${item.pages.length > 1 ? ` + ${pluralize(item.pages.length - 1, 'child page')}` : ''}</div>
+                        </td>
+                        <td>${escapeHtml(item.deletedBy)}</td>
+                        <td>${new Date(item.deletedAt).toLocaleString()}</td>
+                        <td class="trash-actions">
+                            <button class="btn btn-small trash-restore" data-id="${item.id}">Restore</button>
+                            <button class="btn btn-small btn-danger trash-purge" data-id="${item.id}">Delete</button>
+                        </td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+        container.querySelectorAll('.trash-restore').forEach(btn => {
+            btn.addEventListener('click', () => restoreFromTrash(btn.dataset.id));
+        });
+        container.querySelectorAll('.trash-purge').forEach(btn => {
+            btn.addEventListener('click', () => purgeFromTrash(btn.dataset.id));
+        });
+    } catch {
+        container.innerHTML = '<p class="help-text">Could not load the trash.</p>';
+    }
+}
+
+async function restoreFromTrash(id) {
+    try {
+        const resp = await authFetch(`/api/trash/${id}/restore`, { method: 'POST' });
+        const data = await resp.json().catch(() => ({}));
+        if (!resp.ok) {
+            if (handleAuthFailure(resp.status)) return;
+            throw new Error(data.error || `Server error (${resp.status})`);
+        }
+        showNotification(`Restored ${data.path}`, 'success');
+        await loadTree();
+        await loadTrash();
+    } catch (error) {
+        showNotification(`Restore error: ${error.message}`, 'error');
+        console.error(error);
+    }
+}
+
+async function purgeFromTrash(id) {
+    if (!confirm('Delete this page from the trash for good? This cannot be undone.')) return;
+    const resp = await authFetch(`/api/trash/${id}`, { method: 'DELETE' });
+    if (!resp.ok) {
+        if (handleAuthFailure(resp.status)) return;
+        showNotification('Error deleting from the trash', 'error');
+        return;
+    }
+    await loadTrash();
+}
+
+async function emptyTrash() {
+    if (!confirm('Delete every page in the trash for good? This cannot be undone.')) return;
+    const resp = await authFetch('/api/trash', { method: 'DELETE' });
+    if (!resp.ok) {
+        if (handleAuthFailure(resp.status)) return;
+        showNotification('Error emptying the trash', 'error');
+        return;
+    }
+    showNotification('Trash emptied', 'success');
+    await loadTrash();
+}
+
 async function saveSupabaseConfig() {
     const supabaseUrl = document.getElementById('supabaseUrlInput').value.trim();
     const supabaseAnonKey = document.getElementById('supabaseAnonKeyInput').value.trim();
@@ -1454,3 +2855,12 @@ function debounce(func, wait) {
         timeout = setTimeout(later, wait);
     };
 }
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -29,6 +29,10 @@ let supabase = (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY)
 // XSS: sanitize HTML produced by marked before sending to clients.
 // We use an allowlist of safe tags and attributes; everything else is stripped.
 // ---------------------------------------------------------------------------
+// Heading ids are served with this prefix; links and the TOC use the bare slug
+// and the client adds the prefix back when it scrolls to a section.
+const HEADING_ID_PREFIX = 'user-content-';
+
 const SANITIZE_OPTIONS = {
   allowedTags: [
     // Headings / structure
@@ -44,8 +48,9 @@ const SANITIZE_OPTIONS = {
     'img',
   ],
   allowedAttributes: {
-    // wikilinks use class / data-page / data-exists
-    'a': ['href', 'title', 'target', 'rel', 'class', 'data-page', 'data-exists'],
+    'h1': ['id'], 'h2': ['id'], 'h3': ['id'], 'h4': ['id'], 'h5': ['id'], 'h6': ['id'],
+    // wikilinks use class / data-page / data-exists (+ data-anchor for sections)
+    'a': ['href', 'title', 'target', 'rel', 'class', 'data-page', 'data-exists', 'data-anchor'],
     'img': ['src', 'alt', 'title', 'width', 'height'],
     // syntax-highlighting libraries add classes
     'code': ['class'],
@@ -63,6 +68,19 @@ const SANITIZE_OPTIONS = {
     'a':   ['http', 'https', 'mailto'],
   },
   allowProtocolRelative: false, // blocks //evil.com hrefs
+  // Heading anchors from renderMarkdown(). Only slug-shaped ids are kept, and
+  // they get HEADING_ID_PREFIX so a "# Editor" heading (or raw HTML in a page)
+  // can't reuse the app's own element ids, like "editor" or "tree".
+  transformTags: Object.fromEntries(['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map(tag => [
+    tag,
+    (tagName, attribs) => {
+      if (!attribs.id) return { tagName, attribs };
+      const { id, ...rest } = attribs;
+      const slug = id.startsWith(HEADING_ID_PREFIX) ? id.slice(HEADING_ID_PREFIX.length) : id;
+      if (!/^[\p{Ll}\p{Lo}\p{N}_-]+$/u.test(slug)) return { tagName, attribs: rest };
+      return { tagName, attribs: { ...rest, id: HEADING_ID_PREFIX + slug } };
+    },
+  ])),
 };
 
 function sanitize(html) {
@@ -181,6 +199,48 @@ async function requireWikiAdmin(req, res, next) {
   next();
 }
 
+// Returns false when pagePath is protected (auth enabled + listed in
+// protectedPages) and the request has neither a local admin session nor a
+// valid Supabase token. Used by every endpoint that exposes page content.
+async function canReadPage(req, pagePath) {
+  try {
+    const configPath = path.join(WIKI_DIR, '_config.json');
+    const configContent = await fs.readFile(configPath, 'utf-8');
+    const config = JSON.parse(configContent);
+
+    // If auth is enabled and page is protected
+    if (config.authEnabled && config.protectedPages && config.protectedPages.includes(pagePath)) {
+      // Accept local admin session as well as Supabase JWT
+      const localAdmin = req.session && req.session.adminLoggedIn;
+      const user = localAdmin ? req.session.adminUser : await verifyAuth(req);
+      if (!user) return false;
+
+      console.log(`User ${user.email} accessing protected page: ${pagePath}`);
+    }
+  } catch (configError) {
+    console.error('Error checking auth config:', configError);
+    // Continue without auth check if config is missing
+  }
+  return true;
+}
+
+// Protected pages the requester may not see: empty when auth is off or the
+// requester is logged in. Used to filter listings (search, tags, reports).
+async function hiddenPagesFor(req) {
+  let config = {};
+  try {
+    config = JSON.parse(await fs.readFile(path.join(WIKI_DIR, '_config.json'), 'utf-8'));
+  } catch {
+    // No config — nothing is protected
+  }
+  if (!config.authEnabled || !Array.isArray(config.protectedPages) || !config.protectedPages.length) {
+    return new Set();
+  }
+  const localAdmin = req.session && req.session.adminLoggedIn;
+  const user = localAdmin ? req.session.adminUser : await verifyAuth(req);
+  return user ? new Set() : new Set(config.protectedPages);
+}
+
 // Resolve a user-supplied relative path against a trusted base directory.
 // Returns the resolved absolute path, or null if the path would escape baseDir.
 function safePath(baseDir, userInput) {
@@ -192,6 +252,26 @@ function safePath(baseDir, userInput) {
   return resolved;
 }
 
+// The client shows its generated views (tags, reports, the link graph) at
+// these top-level paths, so no page may live there.
+const RESERVED_PAGE_NAMES = new Set(['_tags', '_reports', '_graph']);
+
+function isReservedPagePath(pagePath) {
+  return RESERVED_PAGE_NAMES.has(String(pagePath).split('/')[0].toLowerCase());
+}
+
+// Check that a page may be saved or created at pagePath. Returns
+// { status, error } to send back, or null.
+function checkPagePath(pagePath) {
+  if (!safePath(PAGES_DIR, pagePath + '.md')) {
+    return { status: 400, error: 'Invalid page path' };
+  }
+  if (isReservedPagePath(pagePath)) {
+    return { status: 400, error: 'This name is reserved for the wiki\'s own views' };
+  }
+  return null;
+}
+
 // Parse command line arguments for --home parameter
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -426,7 +506,8 @@ When authentication is enabled, this "Secure" page requires login to view. You c
       enableWikilinks: true,
       defaultHomePage: "home",
       authEnabled: false,
-      protectedPages: ["secure"]
+      protectedPages: ["secure"],
+      autoCommit: false
     };
     await fs.writeFile(path.join(wikiDir, '_config.json'), JSON.stringify(config, null, 2), 'utf-8');
     console.log('✓ Created _config.json');
@@ -578,45 +659,625 @@ marked.setOptions({
   mangle: false
 });
 
+// ---------------------------------------------------------------------------
+// Markdown rendering: marked, plus anchor ids on headings (GitHub-style slugs)
+// and the {{toc}} macro. {{toc}} is filled in here rather than in
+// expandMacros() because it needs the ids of the headings as finally
+// rendered — after wikilinks in them have become HTML.
+// ---------------------------------------------------------------------------
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (HTML_ENTITIES[name] !== undefined) return HTML_ENTITIES[name];
+    if (/^#x/i.test(name)) return String.fromCodePoint(parseInt(name.slice(2), 16));
+    if (name[0] === '#') return String.fromCodePoint(parseInt(name.slice(1), 10));
+    return entity;
+  });
+}
+
+// Heading text -> anchor id: lowercase, punctuation dropped, spaces to hyphens
+function slugify(text) {
+  const slug = text.trim().toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s+/g, '-');
+  return slug || 'section';
+}
+
+// Repeated heading text gets -1, -2, ... so every id on a page is unique
+function createSlugger() {
+  const seen = new Set();
+  return text => {
+    const base = slugify(text);
+    let slug = base;
+    for (let n = 1; seen.has(slug); n++) slug = `${base}-${n}`;
+    seen.add(slug);
+    return slug;
+  };
+}
+
+// Render markdown, returning the HTML and the headings in document order as
+// { level, text, id }. A fresh renderer per call keeps slug numbering per page;
+// pass the same `slug` to render parts of one page (its body and footer).
+function renderMarkdownWithHeadings(markdown, slug = createSlugger()) {
+  const headings = [];
+  const renderer = new marked.Renderer();
+  renderer.heading = (text, level) => {
+    const plain = decodeEntities(text.replace(/<[^>]*>/g, '')).trim();
+    const id = slug(plain);
+    headings.push({ level, text: plain, id });
+    return `<h${level} id="${id}">${text}</h${level}>\n`;
+  };
+  const html = marked.parse(markdown, { renderer });
+  return { html, headings };
+}
+
+function extractHeadings(markdown) {
+  return renderMarkdownWithHeadings(markdown).headings;
+}
+
+// Nested list of links to the headings. A page's single h1 is its title and
+// is left out. A heading never nests more than one level below the previous
+// one, so skipping from h2 to h4 still produces valid lists.
+function buildTocHtml(headings) {
+  const titles = headings.filter(h => h.level === 1);
+  const items = titles.length === 1 ? headings.filter(h => h.level > 1) : headings;
+  if (items.length === 0) return '';
+
+  const baseLevel = Math.min(...items.map(h => h.level));
+  let html = '';
+  let depth = 0;
+  for (const heading of items) {
+    const target = Math.min(heading.level - baseLevel + 1, depth + 1);
+    if (target > depth) {
+      html += '<ul>';
+      depth = target;
+    } else {
+      html += '</li>';
+      for (; depth > target; depth--) html += '</ul></li>';
+    }
+    html += `<li><a href="#${heading.id}">${escapeHtml(heading.text)}</a>`;
+  }
+  html += '</li>';
+  for (; depth > 1; depth--) html += '</ul></li>';
+  html += '</ul>';
+
+  return `<div class="toc"><div class="toc-title">Contents</div>${html}</div>`;
+}
+
+// {{toc}} must stand on a line of its own, so it renders as its own paragraph
+const TOC_MACRO_RE = /<p>\s*\{\{toc\}\}\s*<\/p>/gi;
+
+function renderMarkdown(markdown, slug = createSlugger()) {
+  const { html, headings } = renderMarkdownWithHeadings(markdown, slug);
+  return html.replace(TOC_MACRO_RE, () => buildTocHtml(headings));
+}
+
 // Global page index: maps page names to their full paths
-let pageIndex = {};
+let pageIndex = Object.create(null);
+// Short names shared by several pages: name -> their full paths, sorted.
+// They are kept out of pageIndex so a link never resolves to an arbitrary
+// one of them; processWikilinks() links them to a disambiguation list.
+let ambiguousNames = Object.create(null);
+
+// Index pages by full path ("computers/atari") and by short name ("atari").
+// A short name used by several pages is ambiguous, unless it is also the full
+// path of a top-level page, which then wins. `aliases` maps page paths to the
+// alias keys they declare (see parseAliases); an alias never takes over a
+// page's path or name, and one declared by several pages is ambiguous too.
+function indexPages(pagePaths, aliases = new Map()) {
+  const index = Object.create(null);
+  const byName = Object.create(null);
+  for (const pagePath of pagePaths) {
+    index[pagePath.toLowerCase()] = pagePath;
+    const name = pagePath.split('/').pop().toLowerCase();
+    (byName[name] = byName[name] || []).push(pagePath);
+  }
+
+  const ambiguous = Object.create(null);
+  for (const [name, paths] of Object.entries(byName)) {
+    if (index[name]) continue;
+    if (paths.length === 1) index[name] = paths[0];
+    else ambiguous[name] = paths.sort();
+  }
 
-// Build page index by scanning all pages
+  const byAlias = Object.create(null);
+  for (const [pagePath, keys] of aliases) {
+    if (index[pagePath.toLowerCase()] !== pagePath) continue;
+    for (const key of keys) {
+      if (index[key] || ambiguous[key]) continue;
+      (byAlias[key] = byAlias[key] || new Set()).add(pagePath);
+    }
+  }
+  for (const [key, paths] of Object.entries(byAlias)) {
+    if (paths.size === 1) index[key] = [...paths][0];
+    else ambiguous[key] = [...paths].sort();
+  }
+  return { index, ambiguous };
+}
+
+// Alias keys declared in front matter, as a list or a comma-separated string
+// (`aliases: k8s, kube`). They are matched like wikilink targets, so
+// "Kube Ctl" becomes "kube-ctl". Aliases are names, not paths.
+function parseAliases(meta) {
+  const declared = Array.isArray(meta.aliases) ? meta.aliases
+    : typeof meta.aliases === 'string' ? meta.aliases.split(',')
+    : [];
+  const keys = new Set();
+  for (const alias of declared) {
+    if (typeof alias !== 'string' && typeof alias !== 'number') continue;
+    const key = String(alias).trim().toLowerCase().replace(/\s+/g, '-');
+    if (key && !/[/#|[\]]/.test(key)) keys.add(key);
+  }
+  return [...keys].sort();
+}
+
+// Build page index by scanning all pages. Aliases are taken from the search
+// index, so pages must be (re-)indexed for search before this runs.
 async function buildPageIndex() {
-  pageIndex = {};
+  try {
+    const aliases = new Map([...searchIndex.docs].map(([pagePath, doc]) => [pagePath, doc.aliases]));
+    ({ index: pageIndex, ambiguous: ambiguousNames } = indexPages(await listPages(), aliases));
+    const conflicts = Object.keys(ambiguousNames).length;
+    console.log(`Page index built: ${Object.keys(pageIndex).length} entries` +
+      (conflicts ? `, ${conflicts} ambiguous page name${conflicts === 1 ? '' : 's'}` : ''));
+  } catch (error) {
+    console.error('Error building page index:', error);
+  }
+}
+
+// { path, title } for listing a page in a report
+function pageListEntry(pagePath) {
+  const doc = searchIndex.docs.get(pagePath);
+  return { path: pagePath, title: doc ? doc.title : pagePath.split('/').pop() };
+}
+
+// Pages sharing an ambiguous short name, with their titles. Null if the name
+// is not ambiguous.
+function disambiguationPages(name, hidden = new Set()) {
+  const paths = ambiguousNames[name];
+  if (!paths) return null;
+  return paths.filter(pagePath => !hidden.has(pagePath)).map(pageListEntry);
+}
+
+// List every page under pagesDir as a path without the .md extension
+// (e.g. "computers/atari"). Hidden files and folders are skipped.
+async function listPages(pagesDir = PAGES_DIR) {
+  const pages = [];
 
   async function scanDirectory(dir, relativePath = '') {
     const entries = await fs.readdir(dir, { withFileTypes: true });
-
     for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-      const relPath = relativePath ? path.join(relativePath, entry.name) : entry.name;
-
+      if (entry.name.startsWith('.')) continue;
+      const relPath = relativePath ? `${relativePath}/${entry.name}` : entry.name;
       if (entry.isDirectory()) {
-        await scanDirectory(fullPath, relPath);
+        await scanDirectory(path.join(dir, entry.name), relPath);
       } else if (entry.isFile() && entry.name.endsWith('.md')) {
-        // Get the page name without .md extension
-        const pageName = entry.name.slice(0, -3);
-        // Get the full path without .md extension
-        const pagePathWithoutExt = relPath.slice(0, -3);
-
-        // Store in index: both simple name and full path
-        // Simple name (e.g., "atari" -> "computers/atari")
-        if (!pageIndex[pageName.toLowerCase()]) {
-          pageIndex[pageName.toLowerCase()] = pagePathWithoutExt;
+        pages.push(relPath.slice(0, -3));
+      }
+    }
+  }
+
+  await scanDirectory(pagesDir);
+  return pages;
+}
+
+// ---------------------------------------------------------------------------
+// Front matter: an optional YAML block between "---" lines at the very top of
+// a page, holding metadata such as title, tags, aliases and description.
+// Only the subset pages need is understood — scalars, quoted strings, inline
+// [a, b] lists, "- item" lists and | / > block text. Nested maps are skipped.
+// ---------------------------------------------------------------------------
+const FRONT_MATTER_RE = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+const FRONT_MATTER_KEY_RE = /^([A-Za-z_][\w-]*)[ \t]*:(?:[ \t]+(.*?))?[ \t]*$/;
+
+// Split a comma-separated inline list, ignoring commas inside quotes
+function splitYamlList(text) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === ',') {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  items.push(current);
+  return items.map(item => item.trim()).filter(Boolean);
+}
+
+function parseYamlScalar(raw) {
+  const value = raw.trim();
+
+  const doubleQuoted = value.match(/^"((?:[^"\\]|\\.)*)"/);
+  if (doubleQuoted) {
+    return doubleQuoted[1].replace(/\\(.)/g, (m, ch) => ({ n: '\n', t: '\t' })[ch] || ch);
+  }
+  const singleQuoted = value.match(/^'((?:[^']|'')*)'/);
+  if (singleQuoted) return singleQuoted[1].replace(/''/g, "'");
+
+  // Unquoted: " #" starts a comment
+  const plain = value.replace(/\s+#.*$/, '');
+  if (plain.startsWith('[') && plain.endsWith(']')) {
+    return splitYamlList(plain.slice(1, -1)).map(parseYamlScalar);
+  }
+  if (plain === '' || plain === '~' || plain === 'null') return null;
+  if (plain === 'true') return true;
+  if (plain === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+  return plain;
+}
+
+// Returns { meta, body }: the parsed metadata and the page without its
+// front matter. Pages without front matter get an empty meta object.
+function parseFrontMatter(content) {
+  const match = content.match(FRONT_MATTER_RE);
+  if (!match) return { meta: {}, body: content };
+
+  const lines = (match[1] || '').split(/\r?\n/);
+
+  // A page that merely opens with a horizontal rule is not front matter: the
+  // block needs a "key:" line, and "#" comments may only come before it
+  const firstLine = lines.find(line => line.trim() && !line.trim().startsWith('#'));
+  if (firstLine === undefined || !FRONT_MATTER_KEY_RE.test(firstLine)) {
+    return { meta: {}, body: content };
+  }
+
+  const meta = {};
+  for (let i = 0; i < lines.length; i++) {
+    const keyMatch = lines[i].match(FRONT_MATTER_KEY_RE);
+    if (!keyMatch || keyMatch[1] === '__proto__') continue;
+    const [, key, value = ''] = keyMatch;
+
+    if (/^[|>][+-]?$/.test(value)) {
+      // Block text: the indented lines that follow
+      const block = [];
+      while (i + 1 < lines.length && (/^\s+\S/.test(lines[i + 1]) || !lines[i + 1].trim())) {
+        block.push(lines[++i].trim());
+      }
+      while (block.length && !block[block.length - 1]) block.pop();
+      meta[key] = value[0] === '|' ? block.join('\n') : block.join(' ').replace(/\s+/g, ' ');
+    } else if (value === '') {
+      // "- item" lines that follow form a list
+      const items = [];
+      while (i + 1 < lines.length && /^\s*-(\s|$)/.test(lines[i + 1])) {
+        items.push(parseYamlScalar(lines[++i].replace(/^\s*-/, '')));
+      }
+      meta[key] = items.length ? items : null;
+    } else {
+      meta[key] = parseYamlScalar(value);
+    }
+  }
+
+  return { meta, body: content.slice(match[0].length) };
+}
+
+// ---------------------------------------------------------------------------
+// Full-text search: an in-memory inverted index over page titles and bodies.
+// Built on startup and kept current as pages are saved, created and removed.
+// ---------------------------------------------------------------------------
+const SEARCH_TITLE_WEIGHT = 5;      // a title/path hit counts as this many body hits
+const SEARCH_PREFIX_WEIGHT = 0.5;   // partial-word matches rank below whole words
+const SEARCH_SNIPPET_LENGTH = 160;
+
+function createSearchIndex() {
+  // docs:      pagePath -> { title, text, terms, tags, links }
+  // terms:     term -> Map(pagePath -> weighted term frequency)
+  // wikilinks: link key ([[Deploy Guide]] -> "deploy-guide") -> Map(pagePath -> count)
+  // mdlinks:   link path ([x](/guides/setup) -> "guides/setup") -> Map(pagePath -> count)
+  // The link maps are the backward half of the link graph (see linkSources)
+  return { docs: new Map(), terms: new Map(), wikilinks: new Map(), mdlinks: new Map() };
+}
+
+let searchIndex = createSearchIndex();
+
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Title shown in results: front matter title, else the first "# heading",
+// else the prettified file name
+function pageTitle(pagePath, content) {
+  const { meta, body } = parseFrontMatter(content);
+  if (meta.title !== undefined && meta.title !== null && String(meta.title).trim()) {
+    return String(meta.title).trim();
+  }
+  const heading = body.match(/^#\s+(.+?)\s*#*\s*$/m);
+  if (heading) return heading[1];
+  const name = pagePath.split('/').pop();
+  return name.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+// Reduce markdown to readable text for indexing and snippets
+function markdownToPlainText(markdown) {
+  return markdown
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')              // images
+    .replace(/\[\[([^\]|]+)\|([^\]]+)\]\]/g, '$2')      // [[page|text]]
+    .replace(/\[\[([^\]]+)\]\]/g, '$1')                 // [[page]]
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')            // [text](url)
+    .replace(/<[^>]+>/g, ' ')                           // inline HTML
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '') // block markers
+    .replace(/[*_~`|]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function removeFromSearchIndex(index, pagePath) {
+  const doc = index.docs.get(pagePath);
+  if (!doc) return;
+  for (const term of doc.terms) {
+    const postings = index.terms.get(term);
+    if (!postings) continue;
+    postings.delete(pagePath);
+    if (postings.size === 0) index.terms.delete(term);
+  }
+  const linkKeys = [
+    ...doc.links.wikilinks.map(link => ['wikilinks', link.page]),
+    ...doc.links.mdlinks.map(target => ['mdlinks', target]),
+  ];
+  for (const [kind, key] of linkKeys) {
+    const sources = index[kind].get(key);
+    if (!sources) continue;
+    sources.delete(pagePath);
+    if (sources.size === 0) index[kind].delete(key);
+  }
+  index.docs.delete(pagePath);
+}
+
+function addToSearchIndex(index, pagePath, content) {
+  removeFromSearchIndex(index, pagePath);
+
+  const { meta, body } = parseFrontMatter(content);
+  const title = pageTitle(pagePath, content);
+  const description = typeof meta.description === 'string' ? meta.description : '';
+  const text = markdownToPlainText(description ? `${description}\n\n${body}` : body);
+  const counts = new Map();
+
+  for (const term of tokenize(text)) {
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  // Title and path words (e.g. "computers", "atari") get a strong boost
+  for (const term of new Set([...tokenize(title), ...tokenize(pagePath)])) {
+    counts.set(term, (counts.get(term) || 0) + SEARCH_TITLE_WEIGHT);
+  }
+
+  for (const [term, count] of counts) {
+    if (!index.terms.has(term)) index.terms.set(term, new Map());
+    index.terms.get(term).set(pagePath, count);
+  }
+  const links = extractPageLinks(content);
+  for (const [kind, keys] of [['wikilinks', links.wikilinks.map(link => link.page)], ['mdlinks', links.mdlinks]]) {
+    for (const key of keys) {
+      if (!index[kind].has(key)) index[kind].set(key, new Map());
+      const sources = index[kind].get(key);
+      sources.set(pagePath, (sources.get(pagePath) || 0) + 1);
+    }
+  }
+  index.docs.set(pagePath, {
+    title, text, terms: [...counts.keys()], tags: extractTags(content), aliases: parseAliases(meta), links,
+  });
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Build an HTML-escaped excerpt around the first hit, wrapping hits in <mark>
+function buildSnippet(text, terms) {
+  const escaped = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  // Match terms at the start of a word so "art" does not light up "start"
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${escaped.join('|')})`, 'giu');
+
+  const first = text.search(pattern);
+  let start = 0;
+  if (first > SEARCH_SNIPPET_LENGTH / 3) {
+    start = text.lastIndexOf(' ', first - SEARCH_SNIPPET_LENGTH / 3) + 1;
+  }
+  let end = Math.min(text.length, start + SEARCH_SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const excerpt = text.slice(start, end);
+  const highlighted = excerpt
+    .split(pattern)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return (start > 0 ? '… ' : '') + highlighted + (end < text.length ? ' …' : '');
+}
+
+// Rank pages containing every query word. The last word also matches as a
+// prefix so results appear while the user is still typing. Pages in `hidden`
+// are dropped before `limit` applies, so they never crowd out visible ones.
+function searchPages(index, query, limit = 20, hidden = new Set()) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+
+  const docCount = index.docs.size;
+  let scores = null;
+
+  queryTerms.forEach((term, i) => {
+    const termScores = new Map();
+    const candidates = i === queryTerms.length - 1
+      ? [...index.terms.keys()].filter(t => t.startsWith(term))
+      : (index.terms.has(term) ? [term] : []);
+
+    for (const candidate of candidates) {
+      const postings = index.terms.get(candidate);
+      const idf = Math.log(1 + docCount / postings.size);
+      const weight = candidate === term ? 1 : SEARCH_PREFIX_WEIGHT;
+      for (const [pagePath, tf] of postings) {
+        const score = weight * idf * (tf / (tf + 1.2));
+        termScores.set(pagePath, Math.max(termScores.get(pagePath) || 0, score));
+      }
+    }
+
+    // Every query word must match somewhere in the page
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      for (const pagePath of scores.keys()) {
+        if (termScores.has(pagePath)) {
+          scores.set(pagePath, scores.get(pagePath) + termScores.get(pagePath));
+        } else {
+          scores.delete(pagePath);
         }
-        // Full path (e.g., "computers/atari" -> "computers/atari")
-        pageIndex[pagePathWithoutExt.toLowerCase()] = pagePathWithoutExt;
       }
     }
+  });
+
+  return [...scores]
+    .filter(([pagePath]) => !hidden.has(pagePath))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([pagePath, score]) => {
+      const doc = index.docs.get(pagePath);
+      return {
+        path: pagePath,
+        title: doc.title,
+        snippet: buildSnippet(doc.text, queryTerms),
+        score: Math.round(score * 1000) / 1000,
+      };
+    });
+}
+
+async function buildSearchIndex(pagesDir = PAGES_DIR) {
+  const index = createSearchIndex();
+  for (const pagePath of await listPages(pagesDir)) {
+    const content = await fs.readFile(path.join(pagesDir, pagePath + '.md'), 'utf-8');
+    addToSearchIndex(index, pagePath, content);
+  }
+  return index;
+}
+
+// Drop a page and everything below it (used after a delete)
+function removePageTreeFromSearchIndex(pagePath) {
+  for (const indexedPath of [...searchIndex.docs.keys()]) {
+    if (indexedPath === pagePath || indexedPath.startsWith(pagePath + '/')) {
+      removeFromSearchIndex(searchIndex, indexedPath);
+    }
   }
+}
 
-  try {
-    await scanDirectory(PAGES_DIR);
-    console.log(`Page index built: ${Object.keys(pageIndex).length} entries`);
-  } catch (error) {
-    console.error('Error building page index:', error);
+// ---------------------------------------------------------------------------
+// Tags: declared in front matter (`tags: [a, b]`) or written inline as #tag.
+// Each page's tags are stored on its search index entry, so the index
+// maintenance on save/create/rename/delete keeps them current too.
+// ---------------------------------------------------------------------------
+const INLINE_TAG_RE = /(^|\s)#([\p{L}\p{N}_][\p{L}\p{N}_/-]*)/gu;
+// Link destinations ([below](#rollback)) and HTML tags (style="color: #fff")
+// hold # signs that aren't tags
+const NON_TAG_MARKUP_RE = /\]\([^)\n]*\)|<[^>\n]*>/g;
+
+// Lowercase, without the leading # or trailing separators. Returns null for
+// things that aren't tags, such as "#42" (all digits) or "# " headings.
+function normalizeTag(tag) {
+  const normalized = String(tag).trim().replace(/^#/, '').replace(/[/-]+$/, '').toLowerCase();
+  if (!/^[\p{L}\p{N}_][\p{L}\p{N}_/-]*$/u.test(normalized)) return null;
+  if (/^\d+$/.test(normalized)) return null;
+  return normalized;
+}
+
+// Sorted, de-duplicated tags of a page. Code blocks and inline code are
+// skipped so "#include" in a snippet doesn't become a tag, and so are link
+// destinations and HTML tags.
+function extractTags(content) {
+  const { meta, body } = parseFrontMatter(content);
+  const tags = new Set();
+
+  const declared = Array.isArray(meta.tags) ? meta.tags
+    : typeof meta.tags === 'string' ? meta.tags.split(/[,\s]+/)
+    : [];
+  for (const tag of declared) {
+    const normalized = normalizeTag(tag);
+    if (normalized) tags.add(normalized);
+  }
+
+  for (const match of stripCode(body).replace(NON_TAG_MARKUP_RE, ' ').matchAll(INLINE_TAG_RE)) {
+    const normalized = normalizeTag(match[2]);
+    if (normalized) tags.add(normalized);
+  }
+
+  return [...tags].sort();
+}
+
+// Blank out fenced and inline code, which holds examples rather than tags or links
+const CODE_RE = /^(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\1|`[^`\n]*`/gm;
+
+function stripCode(markdown) {
+  return markdown.replace(CODE_RE, ' ');
+}
+
+// String.replace() on the parts of some markdown outside code
+function replaceOutsideCode(markdown, pattern, replacer) {
+  let result = '';
+  let last = 0;
+  for (const match of markdown.matchAll(CODE_RE)) {
+    result += markdown.slice(last, match.index).replace(pattern, replacer) + match[0];
+    last = match.index + match[0].length;
+  }
+  return result + markdown.slice(last).replace(pattern, replacer);
+}
+
+// All tags with the number of pages carrying each, most used first
+function listTags(index, hidden = new Set()) {
+  const counts = new Map();
+  for (const [pagePath, doc] of index.docs) {
+    if (hidden.has(pagePath)) continue;
+    for (const tag of doc.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// Pages carrying `tag`, sorted by title
+function pagesWithTag(index, tag, hidden = new Set()) {
+  const normalized = normalizeTag(tag);
+  const pages = [];
+  for (const [pagePath, doc] of index.docs) {
+    if (hidden.has(pagePath) || !(doc.tags || []).includes(normalized)) continue;
+    pages.push({ path: pagePath, title: doc.title, tags: doc.tags });
+  }
+  return pages.sort((a, b) => a.title.localeCompare(b.title));
+}
+
+// Split the inside of a [[...]] link into its parts:
+//   "Deploy"                  -> { page: 'deploy', heading: null, text: 'Deploy' }
+//   "Deploy#Roll Back|undo"   -> { page: 'deploy', heading: 'Roll Back', text: 'undo' }
+// `page` is normalized like pageIndex keys (lowercase, spaces to hyphens) and
+// is '' for a link to a section of the same page, e.g. [[#Roll Back]].
+// `name` is the page as written ('Deploy').
+function parseWikilink(inner) {
+  const trimmed = inner.trim();
+  const pipe = trimmed.indexOf('|');
+  const target = (pipe === -1 ? trimmed : trimmed.slice(0, pipe)).trim();
+  const alias = pipe === -1 ? '' : trimmed.slice(pipe + 1).split('|')[0].trim();
+
+  const hash = target.indexOf('#');
+  const pageText = (hash === -1 ? target : target.slice(0, hash)).trim();
+  const heading = hash === -1 ? null : (target.slice(hash + 1).trim() || null);
+
+  let text = alias;
+  if (!text) {
+    if (!heading) text = pageText;
+    else text = pageText ? `${pageText} › ${heading}` : heading;
   }
+
+  return { page: pageText.toLowerCase().replace(/\s+/g, '-'), name: pageText, heading, text };
 }
 
 // Helper function to process wikilinks
@@ -627,25 +1288,28 @@ async function processWikilinks(content, currentPagePath) {
   let processedContent = content;
 
   for (const match of matches) {
-    const fullMatch = match[1].trim();
-
-    // Handle [[PageName|Display Text]] syntax
-    let pageName, displayText;
-    if (fullMatch.includes('|')) {
-      const parts = fullMatch.split('|');
-      pageName = parts[0].trim().toLowerCase().replace(/\s+/g, '-');
-      displayText = parts[1].trim();
-    } else {
-      pageName = fullMatch.toLowerCase().replace(/\s+/g, '-');
-      displayText = fullMatch;
-    }
+    // Handle [[PageName]], [[PageName|Display Text]] and [[PageName#Heading|Display Text]]
+    const link = parseWikilink(match[1]);
+    const pageName = link.page;
+    const displayText = link.text;
+    // Section links point at the heading's anchor id (see renderMarkdown)
+    const anchor = link.heading ? slugify(link.heading) : null;
 
     // Look up page in global index
     const targetPath = pageIndex[pageName];
+    const ambiguous = !targetPath && Boolean(ambiguousNames[pageName]);
     let exists = false;
     let linkPath;
 
-    if (targetPath) {
+    if (!link.page) {
+      // [[#Heading]] - a section of the page being rendered
+      exists = true;
+      linkPath = currentPagePath || 'home';
+    } else if (ambiguous) {
+      // Several pages share this name - link to the list of them
+      exists = true;
+      linkPath = `_reports/ambiguous/${pageName}`;
+    } else if (targetPath) {
       // Page exists in index
       exists = true;
       linkPath = targetPath;
@@ -664,8 +1328,10 @@ async function processWikilinks(content, currentPagePath) {
     }
 
     // Create the link HTML with data-parent attribute for context
-    const cssClass = exists ? 'wikilink' : 'wikilink wikilink-new';
-    const linkHtml = `<a href="/${linkPath}" class="${cssClass}" data-page="${linkPath}" data-exists="${exists}">${displayText}</a>`;
+    const cssClass = ambiguous ? 'wikilink wikilink-ambiguous' : exists ? 'wikilink' : 'wikilink wikilink-new';
+    const href = anchor ? `/${linkPath}#${anchor}` : `/${linkPath}`;
+    const anchorAttr = anchor ? ` data-anchor="${anchor}"` : '';
+    const linkHtml = `<a href="${href}" class="${cssClass}" data-page="${linkPath}"${anchorAttr} data-exists="${exists}">${displayText}</a>`;
 
     processedContent = processedContent.replace(match[0], linkHtml);
   }
@@ -673,6 +1339,270 @@ async function processWikilinks(content, currentPagePath) {
   return processedContent;
 }
 
+// ---------------------------------------------------------------------------
+// Links between pages: [[wikilinks]] and markdown links to wiki paths. Links
+// inside code are examples, not links.
+//
+// The link graph lives in the search index and is updated with it, one page
+// at a time, on save, create, rename and delete: each page's entry holds its
+// outgoing links, and the index maps every link key to the pages using it.
+// Backlinks are stored by key rather than by resolved page, so creating or
+// renaming one page never means re-resolving everyone else's links.
+// ---------------------------------------------------------------------------
+
+// Parsed wikilinks to other pages (see parseWikilink) in a page's markdown
+function extractWikilinks(content) {
+  const { body } = parseFrontMatter(content);
+  return [...stripCode(body).matchAll(/\[\[([^\]]+)\]\]/g)]
+    .map(match => parseWikilink(match[1]))
+    .filter(link => link.page);
+}
+
+// Wiki paths that markdown links ([text](/guides/setup)) point to, lowercased
+// like pageIndex keys. Images, external URLs and #anchors are left out.
+const MARKDOWN_LINK_RE = /(?<!!)(\[[^\]\n]*\]\(\s*<?)([^)\s>]+)(?=>?[^)\n]*\))/g;
+
+function extractMarkdownLinks(content) {
+  const { body } = parseFrontMatter(content);
+  const targets = [];
+  for (const match of stripCode(body).matchAll(MARKDOWN_LINK_RE)) {
+    const target = markdownLinkKey(match[2]);
+    if (target) targets.push(target);
+  }
+  return targets;
+}
+
+// "/Guides/Setup.md#top" -> "guides/setup"; null for URLs and #anchors
+function markdownLinkKey(href) {
+  if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(href)) return null;
+  let target = href.replace(/[?#].*$/, '');
+  try {
+    target = decodeURIComponent(target);
+  } catch {
+    return null;
+  }
+  target = target.replace(/^(\.?\/)+/, '').replace(/\.md$/i, '').replace(/\/+$/, '');
+  return target ? target.toLowerCase() : null;
+}
+
+// Pages a page includes with {{include:Page#Section}}, parsed like wikilinks
+function extractIncludes(content) {
+  const { body } = parseFrontMatter(content);
+  return [...stripCode(body).matchAll(INCLUDE_MACRO_RE)]
+    .map(match => parseWikilink(match[1]))
+    .filter(link => link.page);
+}
+
+// Includes find their page the same way wikilinks do, so the link graph
+// counts them as wikilinks: backlinks, reports and renames all cover them.
+function extractPageLinks(content) {
+  return {
+    wikilinks: [...extractWikilinks(content), ...extractIncludes(content)],
+    mdlinks: extractMarkdownLinks(content),
+  };
+}
+
+// Links on every indexed page: pagePath -> { wikilinks, mdlinks }. Pages in
+// `hidden` are skipped, so their links don't show up in reports.
+function collectPageLinks(hidden = new Set(), index = searchIndex) {
+  const links = new Map();
+  for (const [pagePath, doc] of index.docs) {
+    if (!hidden.has(pagePath)) links.set(pagePath, doc.links);
+  }
+  return links;
+}
+
+// The page a markdown link opens. Markdown links are plain URLs, so only a
+// full page path counts - "/atari" doesn't find "computers/atari".
+function markdownLinkTarget(target, index = pageIndex) {
+  const pagePath = index[target];
+  return pagePath && pagePath.toLowerCase() === target ? pagePath : null;
+}
+
+// Pages a page's links resolve to, each to exactly one page
+function resolvedLinks({ wikilinks, mdlinks }, index = pageIndex) {
+  const targets = new Set();
+  for (const link of wikilinks) {
+    if (index[link.page]) targets.add(index[link.page]);
+  }
+  for (const target of mdlinks) {
+    const pagePath = markdownLinkTarget(target, index);
+    if (pagePath) targets.add(pagePath);
+  }
+  return targets;
+}
+
+// Pages a page's links lead to. A link to an ambiguous name leads to every
+// page sharing it, since they are all listed where it points.
+function linkedPages(pageLinks, index = pageIndex, ambiguous = ambiguousNames) {
+  const targets = resolvedLinks(pageLinks, index);
+  for (const link of pageLinks.wikilinks) {
+    for (const candidate of (!index[link.page] && ambiguous[link.page]) || []) targets.add(candidate);
+  }
+  return targets;
+}
+
+// Link keys that lead to a page: its full path, and its short name and
+// aliases unless another page holds them or they are ambiguous. Markdown
+// links only ever use the full path (see markdownLinkTarget).
+function pageLinkKeys(pagePath, index = pageIndex, aliases = []) {
+  const fullKey = pagePath.toLowerCase();
+  const nameKey = fullKey.split('/').pop();
+  const keys = index[fullKey] === pagePath ? [fullKey] : [];
+  if (nameKey !== fullKey && index[nameKey] === pagePath) keys.push(nameKey);
+  for (const alias of aliases) {
+    if (index[alias] === pagePath && !keys.includes(alias)) keys.push(alias);
+  }
+  return keys;
+}
+
+// Pages linking to a page: Map(source -> { wikilinks, mdlinks }) counting the
+// links from each source. Only links that resolve to exactly this page count,
+// so [[notes-atari-2]] is not a link to "atari", and neither is an ambiguous
+// [[atari]].
+function linkSources(pagePath, searchIdx = searchIndex, index = pageIndex) {
+  const sources = new Map();
+  const doc = searchIdx.docs.get(pagePath);
+  const keys = pageLinkKeys(pagePath, index, doc ? doc.aliases : []);
+  const count = (kind, key) => {
+    for (const [source, n] of searchIdx[kind].get(key) || []) {
+      if (!sources.has(source)) sources.set(source, { wikilinks: 0, mdlinks: 0 });
+      sources.get(source)[kind] += n;
+    }
+  };
+  for (const key of keys) count('wikilinks', key);
+  if (keys.includes(pagePath.toLowerCase())) count('mdlinks', pagePath.toLowerCase());
+  return sources;
+}
+
+// Point links to moved pages at their new paths. `moves` maps old page paths
+// to new ones, and links are resolved with the page index from before the
+// move. Sections and display text are kept, and a link by short name stays
+// short unless the new name is taken: [[atari#Specs]] -> [[atari-800#Specs]].
+// Links by alias are left alone, as the alias moves with the page.
+// {{include:...}} targets are rewritten the same way as wikilinks.
+function rewriteLinks(content, moves, index = pageIndex, ambiguous = ambiguousNames) {
+  // The wikilink or include target pointed at the moved page, or null
+  const rewriteTarget = inner => {
+    const link = parseWikilink(inner);
+    const from = link.page && index[link.page];
+    if (!from || !moves.has(from)) return null;
+
+    const to = moves.get(from);
+    const newName = to.split('/').pop();
+    let target = to;
+    if (!link.page.includes('/')) {
+      if (link.page !== from.split('/').pop().toLowerCase()) return null;
+      if (newName.toLowerCase() === link.page) return null;
+      const owner = index[newName.toLowerCase()];
+      const taken = (owner && owner !== from) || ambiguous[newName.toLowerCase()];
+      if (!taken) target = newName;
+    }
+    return inner.replace(/^(\s*)[^#|]*?(\s*)(?=[#|]|$)/, `$1${target}$2`);
+  };
+
+  const rewriteWikilink = (match, inner) => {
+    const rewritten = rewriteTarget(inner);
+    return rewritten === null ? match : `[[${rewritten}]]`;
+  };
+
+  const rewriteInclude = (match, target) => {
+    const rewritten = rewriteTarget(target);
+    if (rewritten === null) return match;
+    const at = match.lastIndexOf(target);
+    return match.slice(0, at) + rewritten + match.slice(at + target.length);
+  };
+
+  const rewriteMarkdownLink = (match, before, href) => {
+    const key = markdownLinkKey(href);
+    const from = key && markdownLinkTarget(key, index);
+    if (!from || !moves.has(from)) return match;
+    const [, prefix, , extension = '', suffix = ''] = href.match(/^((?:\.?\/)*)(.*?)(\.md)?\/*([?#].*)?$/i);
+    return `${before}${prefix}${moves.get(from)}${extension}${suffix}`;
+  };
+
+  const withWikilinks = replaceOutsideCode(content, /\[\[([^\]]+)\]\]/g, rewriteWikilink);
+  const withIncludes = replaceOutsideCode(withWikilinks, INCLUDE_MACRO_RE, rewriteInclude);
+  return replaceOutsideCode(withIncludes, MARKDOWN_LINK_RE, rewriteMarkdownLink);
+}
+
+// Link targets with no page behind them (red links), with the pages linking
+// to each, most wanted first. Ambiguous names are not missing.
+function findWantedPages(links, index = pageIndex, ambiguous = ambiguousNames) {
+  const wanted = new Map();
+  for (const [pagePath, { wikilinks }] of links) {
+    for (const link of wikilinks) {
+      if (index[link.page] || ambiguous[link.page]) continue;
+      if (!wanted.has(link.page)) {
+        wanted.set(link.page, { name: link.page, title: link.name, linkedFrom: new Set() });
+      }
+      wanted.get(link.page).linkedFrom.add(pagePath);
+    }
+  }
+  return [...wanted.values()]
+    .map(entry => ({ ...entry, linkedFrom: [...entry.linkedFrom].sort(), count: entry.linkedFrom.size }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+// Pages no other page links to, sorted by path. `roots` are pages that are
+// reachable anyway (home, pages linked from the sidebar) and never orphans.
+function findOrphanPages(links, roots = new Set(), index = pageIndex, ambiguous = ambiguousNames) {
+  const linked = new Set();
+  for (const [pagePath, pageLinks] of links) {
+    for (const target of linkedPages(pageLinks, index, ambiguous)) {
+      if (target !== pagePath) linked.add(target);
+    }
+  }
+  return [...links.keys()]
+    .filter(pagePath => !linked.has(pagePath) && !roots.has(pagePath))
+    .sort();
+}
+
+const GRAPH_MAX_HOPS = 5;
+
+// Pages as nodes and resolved links between them as edges ({ source, target },
+// once per linked pair and direction), for the graph view. Links to missing
+// pages and a page's links to itself are left out.
+function linkGraph(links, index = pageIndex) {
+  const nodes = [...links.keys()].sort();
+  const edges = [];
+  for (const source of nodes) {
+    for (const target of resolvedLinks(links.get(source), index)) {
+      if (target !== source && links.has(target)) edges.push({ source, target });
+    }
+  }
+  return { nodes, edges };
+}
+
+// The part of a graph within `hops` links of a page, following links both ways
+function graphNeighborhood(graph, pagePath, hops) {
+  const neighbors = new Map(graph.nodes.map(node => [node, new Set()]));
+  for (const { source, target } of graph.edges) {
+    neighbors.get(source).add(target);
+    neighbors.get(target).add(source);
+  }
+
+  const reached = new Set([pagePath]);
+  let frontier = [pagePath];
+  for (let hop = 0; hop < hops && frontier.length; hop++) {
+    const next = [];
+    for (const node of frontier) {
+      for (const neighbor of neighbors.get(node) || []) {
+        if (!reached.has(neighbor)) {
+          reached.add(neighbor);
+          next.push(neighbor);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return {
+    nodes: graph.nodes.filter(node => reached.has(node)),
+    edges: graph.edges.filter(edge => reached.has(edge.source) && reached.has(edge.target)),
+  };
+}
+
 // Macro expansion helpers
 
 async function collectDescendants(dir, basePath, depth) {
@@ -720,123 +1650,568 @@ async function buildChildrenList(pagePath) {
   return lines.join('\n');
 }
 
-async function expandMacros(content, pagePath) {
-  if (!content.includes('{{')) return content;
-  const childrenMd = await buildChildrenList(pagePath);
-  return content.replace(/\{\{children\}\}/gi, childrenMd);
+// Split a page into its main content and the footer after its last "---" line
+function splitPageFooter(content) {
+  const parts = content.split(/\n---+\n/);
+  if (parts.length === 1) return { main: content, footer: '' };
+  return { main: parts.slice(0, -1).join('\n---\n'), footer: parts[parts.length - 1] };
 }
 
-// Helper function to check if a page exists
-async function pageExists(pagePath) {
-  const filePath = safePath(PAGES_DIR, pagePath + '.md');
-  if (!filePath) return false;
-  try {
-    await fs.access(filePath);
-    return true;
-  } catch {
-    return false;
-  }
+// {{include:Page}} / {{include:Page#Section}} inline another page's markdown
+const INCLUDE_MACRO_RE = /\{\{include:\s*([^}]+?)\s*\}\}/gi;
+const INCLUDE_MAX_DEPTH = 5;
+
+function includeError(message) {
+  return `<span class="include-error">⚠ ${escapeHtml(message)}</span>`;
 }
 
-// Helper function to find all references to a page
-async function findPageReferences(pagePath) {
-  const references = [];
+// The markdown of one section: the heading whose anchor id matches `heading`
+// and everything up to the next heading of the same or a higher level.
+// Returns null when the page has no such heading.
+function extractSection(markdown, heading) {
+  const wanted = slugify(heading);
+  const slug = createSlugger();
+  const parts = [];
+  let sectionLevel = 0;
+
+  for (const token of marked.lexer(markdown)) {
+    if (token.type === 'heading') {
+      const text = decodeEntities(marked.parseInline(token.text).replace(/<[^>]*>/g, '')).trim();
+      const id = slug(text);
+      if (!sectionLevel && id === wanted) {
+        sectionLevel = token.depth;
+      } else if (sectionLevel && token.depth <= sectionLevel) {
+        break;
+      }
+    }
+    if (sectionLevel) parts.push(token.raw);
+  }
 
-  // Get the page name from the path
-  const parts = pagePath.split('/');
-  const pageName = parts[parts.length - 1];
+  return sectionLevel ? parts.join('') : null;
+}
 
-  // Recursively scan all .md files
-  async function scanDirectory(dir, basePath = '') {
-    const items = await fs.readdir(dir, { withFileTypes: true });
+// Markdown to put in place of one {{include:...}}. `stack` is the chain of
+// pages being expanded, used to stop include loops and runaway nesting.
+async function includePage(target, stack, hidden) {
+  const link = parseWikilink(target);
+  const targetPath = link.page && pageIndex[link.page];
+  if (!targetPath && ambiguousNames[link.page]) {
+    return includeError(`Several pages are named "${link.page}" - include one by its full path: ${target}`);
+  }
+  // Protected pages look missing to visitors who can't read them
+  if (!targetPath || hidden.has(targetPath)) {
+    return includeError(`Page not found: ${target}`);
+  }
+  if (stack.includes(targetPath)) {
+    return includeError(`Include loop: ${[...stack, targetPath].join(' → ')}`);
+  }
+  if (stack.length > INCLUDE_MAX_DEPTH) {
+    return includeError(`Includes nested more than ${INCLUDE_MAX_DEPTH} deep: ${target}`);
+  }
 
-    for (const item of items) {
-      if (item.name.startsWith('.')) continue;
+  const filePath = safePath(PAGES_DIR, targetPath + '.md');
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf-8');
+  } catch {
+    return includeError(`Page not found: ${target}`);
+  }
 
-      const fullPath = path.join(dir, item.name);
-      const relativePath = path.join(basePath, item.name);
+  let markdown = splitPageFooter(parseFrontMatter(raw).body).main;
+  if (link.heading) {
+    markdown = extractSection(markdown, link.heading);
+    if (markdown === null) return includeError(`Section not found: ${target}`);
+  }
 
-      if (item.isDirectory()) {
-        await scanDirectory(fullPath, relativePath);
-      } else if (item.name.endsWith('.md')) {
-        const content = await fs.readFile(fullPath, 'utf-8');
-        const filePagePath = relativePath.replace('.md', '');
+  // Included pages may use macros themselves, relative to their own path
+  return expandMacros(markdown.trim(), targetPath, { hidden, stack: [...stack, targetPath] });
+}
 
-        // Check for wikilinks: [[pageName]] or [[path/to/pageName]]
-        const wikilinkPattern = new RegExp(`\\[\\[([^\\]]*${pageName}[^\\]]*)\\]\\]`, 'gi');
-        const wikilinkMatches = [...content.matchAll(wikilinkPattern)];
+// Expand {{children}} and {{include:...}} in a page's markdown. Pass the
+// requester's hidden pages (hiddenPagesFor) so includes respect protection.
+// {{toc}} is expanded later, by renderMarkdown(), once heading ids are known.
+async function expandMacros(content, pagePath, options = {}) {
+  if (!content.includes('{{')) return content;
+  const { hidden = new Set(), stack = [pagePath] } = options;
 
-        // Check for markdown links: [text](pagePath)
-        const mdLinkPattern = new RegExp(`\\[[^\\]]+\\]\\(/?${pagePath.replace(/\//g, '\\/')}\\)`, 'gi');
-        const mdLinkMatches = [...content.matchAll(mdLinkPattern)];
+  const childrenMd = await buildChildrenList(pagePath);
+  const expanded = content.replace(/\{\{children\}\}/gi, childrenMd);
 
-        if (wikilinkMatches.length > 0 || mdLinkMatches.length > 0) {
-          references.push({
-            file: filePagePath,
-            filePath: fullPath,
-            wikilinks: wikilinkMatches.length,
-            mdlinks: mdLinkMatches.length,
-            total: wikilinkMatches.length + mdLinkMatches.length
-          });
-        }
-      }
+  const includes = [...expanded.matchAll(INCLUDE_MACRO_RE)];
+  if (includes.length === 0) return expanded;
+  const replacements = [];
+  for (const match of includes) {
+    replacements.push(await includePage(match[1], stack, hidden));
+  }
+  return expanded.replace(INCLUDE_MACRO_RE, () => replacements.shift());
+}
+
+// Helper function to check if a page exists
+async function pageExists(pagePath) {
+  const filePath = safePath(PAGES_DIR, pagePath + '.md');
+  if (!filePath) return false;
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Helper function to find all references to a page: the pages whose links
+// resolve to it (see linkSources), with link counts from each
+function findPageReferences(pagePath) {
+  return [...linkSources(pagePath)]
+    .map(([file, counts]) => ({
+      file,
+      title: pageListEntry(file).title,
+      filePath: path.join(PAGES_DIR, file + '.md'),
+      wikilinks: counts.wikilinks,
+      mdlinks: counts.mdlinks,
+      total: counts.wikilinks + counts.mdlinks,
+    }))
+    .sort((a, b) => a.file.localeCompare(b.file));
+}
+
+// Links a move (old path -> new path) would rewrite, as
+// [{ source, content, rewritten }] for each page whose content changes. Only
+// the pages the link graph lists as linking to a moved page are read.
+async function planPageReferences(moves, searchIdx = searchIndex) {
+  const sources = new Set();
+  for (const oldPath of moves.keys()) {
+    for (const source of linkSources(oldPath, searchIdx).keys()) sources.add(source);
+  }
+
+  const plan = [];
+  for (const source of [...sources].sort()) {
+    const content = await fs.readFile(path.join(PAGES_DIR, source + '.md'), 'utf-8');
+    const rewritten = rewriteLinks(content, moves);
+    if (rewritten !== content) plan.push({ source, content, rewritten });
+  }
+  return plan;
+}
+
+// Helper function to update references when pages move (old path -> new
+// path). Returns the paths of the pages that changed.
+async function updatePageReferences(moves, searchIdx = searchIndex) {
+  const plan = await planPageReferences(moves, searchIdx);
+  for (const { source, rewritten } of plan) {
+    await fs.writeFile(path.join(PAGES_DIR, source + '.md'), rewritten, 'utf-8');
+  }
+  return plan.map(update => update.source);
+}
+
+// Check that the page at oldPath can be moved to newPath (a rename is a move
+// within the same folder). Returns { status, error } to send back, or null.
+async function checkPageMove(oldPath, newPath) {
+  const oldFilePath = safePath(PAGES_DIR, oldPath + '.md');
+  const newFilePath = safePath(PAGES_DIR, newPath + '.md');
+  const oldFolderPath = safePath(PAGES_DIR, oldPath);
+  const newFolderPath = safePath(PAGES_DIR, newPath);
+  if (!oldFilePath || !newFilePath || !oldFolderPath || !newFolderPath) {
+    return { status: 400, error: 'Invalid page path' };
+  }
+  if (isReservedPagePath(newPath)) {
+    return { status: 400, error: 'This name is reserved for the wiki\'s own views' };
+  }
+
+  if (await pageExists(newPath)) {
+    return { status: 400, error: 'A page with this name already exists' };
+  }
+  if (newPath.startsWith(oldPath + '/')) {
+    return { status: 400, error: 'Cannot move a page inside itself' };
+  }
+
+  try {
+    await fs.access(oldFilePath);
+  } catch {
+    return { status: 404, error: 'Page not found' };
+  }
+
+  // Child pages can't be merged into a folder that is already there
+  const exists = dir => fs.access(dir).then(() => true, () => false);
+  if (await exists(oldFolderPath) && await exists(newFolderPath)) {
+    return { status: 400, error: 'A folder with this name already exists' };
+  }
+  return null;
+}
+
+// Remove folders left empty by a move, up to the pages directory
+async function removeEmptyFolders(dir) {
+  while (dir.startsWith(PAGES_DIR + path.sep)) {
+    try {
+      await fs.rmdir(dir);
+    } catch {
+      return;
     }
+    dir = path.dirname(dir);
   }
+}
 
-  await scanDirectory(PAGES_DIR);
-  return references;
+// The page and everything below it move: old path -> new path
+function pageMoves(oldPath, newPath, searchIdx = searchIndex) {
+  const moves = new Map([[oldPath, newPath]]);
+  for (const indexedPath of searchIdx.docs.keys()) {
+    if (indexedPath.startsWith(oldPath + '/')) {
+      moves.set(indexedPath, newPath + indexedPath.slice(oldPath.length));
+    }
+  }
+  return moves;
 }
 
-// Helper function to update references when renaming a page
-async function updatePageReferences(oldPath, newPath) {
-  const oldParts = oldPath.split('/');
-  const newParts = newPath.split('/');
-  const oldName = oldParts[oldParts.length - 1];
-  const newName = newParts[newParts.length - 1];
+// What movePage() would do, without writing anything: the pages that move,
+// and a line diff of each page whose links would be rewritten (listed by
+// its path after the move).
+async function previewPageMove(oldPath, newPath, searchIdx = searchIndex) {
+  const moves = pageMoves(oldPath, newPath, searchIdx);
+  const plan = await planPageReferences(moves, searchIdx);
+  return {
+    moved: [...moves].map(([from, to]) => ({ from, to })),
+    changes: plan.map(({ source, content, rewritten }) => ({
+      path: moves.get(source) || source,
+      diff: diffLines(content, rewritten),
+    })),
+  };
+}
 
-  const updates = [];
+// Move a page and the folder of pages below it to newPath, after rewriting
+// every link to any of them. Call checkPageMove() first. Returns the pages
+// whose links were updated, by their new paths.
+async function movePage(oldPath, newPath, searchIdx = searchIndex) {
+  const oldFilePath = safePath(PAGES_DIR, oldPath + '.md');
+  const newFilePath = safePath(PAGES_DIR, newPath + '.md');
+  const oldFolderPath = safePath(PAGES_DIR, oldPath);
+  const newFolderPath = safePath(PAGES_DIR, newPath);
 
-  // Recursively update all .md files
-  async function updateDirectory(dir, basePath = '') {
-    const items = await fs.readdir(dir, { withFileTypes: true });
+  const moves = pageMoves(oldPath, newPath, searchIdx);
 
-    for (const item of items) {
-      if (item.name.startsWith('.')) continue;
+  // Update all references first
+  const updatedPages = (await updatePageReferences(moves, searchIdx)).map(p => moves.get(p) || p);
 
-      const fullPath = path.join(dir, item.name);
-      const relativePath = path.join(basePath, item.name);
+  // Move the file, creating the destination folder if needed
+  await fs.mkdir(path.dirname(newFilePath), { recursive: true });
+  await fs.rename(oldFilePath, newFilePath);
 
-      if (item.isDirectory()) {
-        await updateDirectory(fullPath, relativePath);
-      } else if (item.name.endsWith('.md')) {
-        let content = await fs.readFile(fullPath, 'utf-8');
-        let modified = false;
+  // If there's a corresponding folder, move it too
+  try {
+    await fs.access(oldFolderPath);
+    await fs.rename(oldFolderPath, newFolderPath);
+  } catch {
+    // No folder exists, that's okay
+  }
+  await removeEmptyFolders(path.dirname(oldFilePath));
+
+  // Re-index the moved pages and every page whose links were rewritten, and
+  // rebuild the page index
+  for (const movedPath of moves.keys()) removeFromSearchIndex(searchIdx, movedPath);
+  for (const changedPath of new Set([...moves.values(), ...updatedPages])) {
+    const content = await fs.readFile(path.join(PAGES_DIR, changedPath + '.md'), 'utf-8');
+    addToSearchIndex(searchIdx, changedPath, content);
+  }
+  await buildPageIndex();
+
+  return updatedPages;
+}
 
-        // Update wikilinks - case insensitive
-        const wikilinkPattern = new RegExp(`\\[\\[([^\\]]*${oldName}[^\\]]*)\\]\\]`, 'gi');
-        const newContent = content.replace(wikilinkPattern, (match, linkText) => {
-          modified = true;
-          // Replace just the name part, preserving case structure
-          return `[[${linkText.replace(new RegExp(oldName, 'gi'), newName)}]]`;
-        });
+// ---------------------------------------------------------------------------
+// Redirects: a rename or move can leave its old path pointing at the new one,
+// so bookmarks and links pasted outside the wiki keep working. They are kept
+// in _wiki/_redirects.json as { "old/path": "new/path" }. A real page always
+// wins over a redirect at the same path.
+// ---------------------------------------------------------------------------
+const REDIRECTS_FILE = path.join(WIKI_DIR, '_redirects.json');
+const REDIRECT_MAX_HOPS = 10;
 
-        // Update markdown links
-        const mdLinkPattern = new RegExp(`(\\[[^\\]]+\\]\\()/?${oldPath.replace(/\//g, '\\/')}(\\))`, 'gi');
-        const finalContent = newContent.replace(mdLinkPattern, (match, before, after) => {
-          modified = true;
-          return `${before}${newPath}${after}`;
-        });
+async function loadRedirects() {
+  try {
+    return JSON.parse(await fs.readFile(REDIRECTS_FILE, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
 
-        if (modified) {
-          await fs.writeFile(fullPath, finalContent, 'utf-8');
-          updates.push(relativePath.replace('.md', ''));
-        }
-      }
+// Redirects after a move (old path -> new path). Redirects that led to a
+// moved page follow it, ones sitting where a page now lives are dropped, and
+// with leaveRedirects each moved page's old path points at its new one.
+function updateRedirects(redirects, moves, leaveRedirects) {
+  const updated = new Map();
+  for (const [from, to] of Object.entries(redirects)) updated.set(from, moves.get(to) || to);
+  for (const to of moves.values()) updated.delete(to);
+  if (leaveRedirects) {
+    for (const [from, to] of moves) updated.set(from, to);
+  }
+  return Object.fromEntries([...updated]
+    .filter(([from, to]) => from !== to)
+    .sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// Where a redirect at pagePath leads, or null
+function resolveRedirect(redirects, pagePath) {
+  let target = pagePath;
+  for (let hops = 0; hops < REDIRECT_MAX_HOPS && Object.hasOwn(redirects, target); hops++) {
+    target = redirects[target];
+  }
+  return target !== pagePath && !Object.hasOwn(redirects, target) ? target : null;
+}
+
+// Update the redirects file for a move. Returns true when it changed.
+async function saveMoveRedirects(moves, leaveRedirects) {
+  const redirects = await loadRedirects();
+  const updated = updateRedirects(redirects, moves, leaveRedirects);
+  if (JSON.stringify(updated) === JSON.stringify(redirects)) return false;
+  await fs.writeFile(REDIRECTS_FILE, JSON.stringify(updated, null, 2) + '\n', 'utf-8');
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Protected pages: protectedPages in _config.json lists page paths, so the
+// list has to follow pages that move, or a protected page would turn public
+// at its new path. Trashed pages take their protection with them and get it
+// back when restored.
+// ---------------------------------------------------------------------------
+const CONFIG_FILE = path.join(WIKI_DIR, '_config.json');
+
+// protectedPages after a move (old path -> new path)
+function updateProtectedPages(protectedPages, moves) {
+  return [...new Set(protectedPages.map(pagePath => moves.get(pagePath) || pagePath))];
+}
+
+// Replace protectedPages in _config.json with update(protectedPages).
+// Returns true when the config changed.
+async function editProtectedPages(update) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(CONFIG_FILE, 'utf-8'));
+  } catch {
+    return false;
+  }
+  const current = Array.isArray(config.protectedPages) ? config.protectedPages : [];
+  const updated = update(current);
+  if (JSON.stringify(updated) === JSON.stringify(current)) return false;
+  config.protectedPages = updated;
+  await fs.writeFile(CONFIG_FILE, JSON.stringify(config, null, 2), 'utf-8');
+  return true;
+}
+
+// Which of `pagePaths` are protected
+async function protectedAmong(pagePaths) {
+  try {
+    const config = JSON.parse(await fs.readFile(CONFIG_FILE, 'utf-8'));
+    const protectedPages = Array.isArray(config.protectedPages) ? config.protectedPages : [];
+    return pagePaths.filter(pagePath => protectedPages.includes(pagePath));
+  } catch {
+    return [];
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Trash: deleting a page moves it, with the folder of pages below it, into
+// _wiki/_trash instead of destroying it. Each deletion gets its own folder
+// holding the page file, its child folder and a trash.json describing it
+// (original path, title, pages, who deleted it and when).
+// ---------------------------------------------------------------------------
+const TRASH_DIR = path.join(WIKI_DIR, '_trash');
+const TRASH_ID_RE = /^[0-9a-z]+-[0-9a-f]{6}$/;
+
+// A page and every page below it, as read from disk
+async function pageTreePaths(pagePath) {
+  const paths = [];
+  if (await pageExists(pagePath)) paths.push(pagePath);
+  try {
+    for (const child of await listPages(path.join(PAGES_DIR, pagePath))) paths.push(`${pagePath}/${child}`);
+  } catch {
+    // No child folder
+  }
+  return paths;
+}
+
+// Move a page and its child folder to the trash, taking the pages off
+// protectedPages. Returns the trash entry, or null when there was nothing to
+// delete.
+async function trashPage(pagePath, user) {
+  const filePath = path.join(PAGES_DIR, pagePath + '.md');
+  const folderPath = path.join(PAGES_DIR, pagePath);
+  const pages = await pageTreePaths(pagePath);
+  if (pages.length === 0) return null;
+
+  let title = pagePath.split('/').pop();
+  try {
+    title = pageTitle(pagePath, await fs.readFile(filePath, 'utf-8'));
+  } catch {
+    // Folder without a page of its own
+  }
+
+  const entry = {
+    id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+    path: pagePath,
+    title,
+    pages,
+    protectedPages: await protectedAmong(pages),
+    deletedBy: gitAuthor(user),
+    deletedAt: new Date().toISOString(),
+  };
+  const entryDir = path.join(TRASH_DIR, entry.id);
+  const name = path.basename(pagePath);
+  await fs.mkdir(entryDir, { recursive: true });
+  for (const [from, to] of [[filePath, name + '.md'], [folderPath, name]]) {
+    try {
+      await fs.rename(from, path.join(entryDir, to));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
     }
   }
+  await fs.writeFile(path.join(entryDir, 'trash.json'), JSON.stringify(entry, null, 2), 'utf-8');
+  await removeEmptyFolders(path.dirname(filePath));
+  if (entry.protectedPages.length) {
+    await editProtectedPages(list => list.filter(pagePath => !entry.protectedPages.includes(pagePath)));
+  }
+  return entry;
+}
+
+async function readTrashEntry(id) {
+  if (!TRASH_ID_RE.test(id)) return null;
+  try {
+    return JSON.parse(await fs.readFile(path.join(TRASH_DIR, id, 'trash.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Everything in the trash, most recently deleted first
+async function listTrash() {
+  let ids = [];
+  try {
+    ids = await fs.readdir(TRASH_DIR);
+  } catch {
+    return [];
+  }
+  const entries = (await Promise.all(ids.map(readTrashEntry))).filter(Boolean);
+  return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// Put a trashed page (and its child folder) back where it was, protected
+// again if it was. Returns { entry } or { status, error } when something now
+// occupies its place.
+async function restoreFromTrash(id) {
+  const entry = await readTrashEntry(id);
+  if (!entry) return { status: 404, error: 'Not found in trash' };
+
+  const filePath = safePath(PAGES_DIR, entry.path + '.md');
+  const folderPath = safePath(PAGES_DIR, entry.path);
+  if (!filePath || !folderPath) return { status: 400, error: 'Invalid page path' };
+
+  const entryDir = path.join(TRASH_DIR, id);
+  const name = path.basename(entry.path);
+  const exists = target => fs.access(target).then(() => true, () => false);
+  const moves = [[path.join(entryDir, name + '.md'), filePath], [path.join(entryDir, name), folderPath]];
+  for (const [from, to] of moves) {
+    if (await exists(from) && await exists(to)) {
+      return { status: 409, error: `Something already exists at ${entry.path}; move it out of the way first` };
+    }
+  }
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  for (const [from, to] of moves) {
+    if (await exists(from)) await fs.rename(from, to);
+  }
+  await fs.rm(entryDir, { recursive: true, force: true });
+  const protectedPages = entry.protectedPages || [];
+  if (protectedPages.length) {
+    await editProtectedPages(list => [...new Set([...list, ...protectedPages])]);
+  }
+  return { entry };
+}
+
+// Delete one trashed page for good, or the whole trash when no id is given.
+// Returns false when the id isn't in the trash.
+async function purgeTrash(id) {
+  if (id === undefined) {
+    await fs.rm(TRASH_DIR, { recursive: true, force: true });
+    return true;
+  }
+  if (!await readTrashEntry(id)) return false;
+  await fs.rm(path.join(TRASH_DIR, id), { recursive: true, force: true });
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Templates: starting content for new pages, kept as markdown files in
+// _wiki/_templates and managed by wiki admins. {{title}}, {{date}},
+// {{author}} and {{parent}} are filled in when a page is created from one;
+// any other {{...}} (such as the {{toc}} macro) is left as written.
+// ---------------------------------------------------------------------------
+const TEMPLATES_DIR = path.join(WIKI_DIR, '_templates');
+const TEMPLATE_NAME_RE = /^[a-z0-9-]+$/;
+const TEMPLATE_VARIABLE_RE = /\{\{\s*(title|date|author|parent)\s*\}\}/gi;
+
+// Content of a page created without a template
+function defaultPageContent(title) {
+  return `# ${title || 'New Page'}\n\nStart writing your content here...\n`;
+}
+
+// Template names, sorted
+async function listTemplates() {
+  try {
+    return (await fs.readdir(TEMPLATES_DIR))
+      .filter(file => file.endsWith('.md') && TEMPLATE_NAME_RE.test(file.slice(0, -3)))
+      .map(file => file.slice(0, -3))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+// A template's content, or null when there is no such template
+async function readTemplate(name) {
+  if (!TEMPLATE_NAME_RE.test(name)) return null;
+  try {
+    return await fs.readFile(path.join(TEMPLATES_DIR, name + '.md'), 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+// Values filled into a template for a new page: its title, today's date
+// (YYYY-MM-DD), who is creating it, and the path of the page it sits under
+// ('' at the top level).
+function templateVariables(pagePath, title, user, now = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  const slash = pagePath.lastIndexOf('/');
+  return {
+    title: title || 'New Page',
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    author: userName(user),
+    parent: slash === -1 ? '' : pagePath.slice(0, slash),
+  };
+}
 
-  await updateDirectory(PAGES_DIR);
-  return updates;
+function expandTemplate(content, variables) {
+  return content.replace(TEMPLATE_VARIABLE_RE, (match, name) => variables[name.toLowerCase()]);
+}
+
+// The template a folder gives new pages by default, from _config.json's
+// folderTemplates ({ "ops/postmortems": "postmortem" }). The nearest folder
+// above the page wins; "" covers the whole wiki. Returns null when none applies.
+function folderTemplate(folderTemplates, pagePath) {
+  if (!folderTemplates || typeof folderTemplates !== 'object' || Array.isArray(folderTemplates)) return null;
+  const byFolder = new Map(Object.entries(folderTemplates)
+    .filter(([, name]) => typeof name === 'string' && name)
+    .map(([folder, name]) => [folder.replace(/^\/+|\/+$/g, '').toLowerCase(), name]));
+  const parts = pagePath.toLowerCase().split('/').slice(0, -1);
+  for (let depth = parts.length; depth >= 0; depth--) {
+    const folder = parts.slice(0, depth).join('/');
+    if (byFolder.has(folder)) return byFolder.get(folder);
+  }
+  return null;
+}
+
+async function defaultTemplateFor(pagePath) {
+  try {
+    const config = JSON.parse(await fs.readFile(path.join(WIKI_DIR, '_config.json'), 'utf-8'));
+    return folderTemplate(config.folderTemplates, pagePath);
+  } catch {
+    return null;
+  }
 }
 
 // Helper function to build directory tree
@@ -923,11 +2298,11 @@ app.post('/api/preview', async (req, res) => {
       return res.status(400).json({ error: 'Content is required' });
     }
 
-    // Process wikilinks in the content
-    const processedContent = await processWikilinks(content, currentPage || 'home');
+    // Process wikilinks in the content, leaving out any front matter
+    const processedContent = await processWikilinks(parseFrontMatter(content).body, currentPage || 'home');
 
     // Convert to HTML and sanitize to prevent XSS
-    const html = sanitize(marked.parse(processedContent));
+    const html = sanitize(renderMarkdown(processedContent));
 
     res.json({ html });
   } catch (error) {
@@ -947,6 +2322,139 @@ app.get('/api/tree', async (req, res) => {
   }
 });
 
+// API: Full-text search across page titles and bodies
+app.get('/api/search', async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.json({ query: '', results: [], count: 0 });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    // Hide protected pages from anonymous visitors when auth is enabled
+    const hidden = await hiddenPagesFor(req);
+    const results = searchPages(searchIndex, query, limit, hidden);
+
+    res.json({ query, results, count: results.length });
+  } catch (error) {
+    console.error('Error searching pages:', error);
+    res.status(500).json({ error: 'Failed to search pages' });
+  }
+});
+
+// API: All tags with page counts
+app.get('/api/tags', async (req, res) => {
+  try {
+    const tags = listTags(searchIndex, await hiddenPagesFor(req));
+    res.json({ tags, count: tags.length });
+  } catch (error) {
+    console.error('Error listing tags:', error);
+    res.status(500).json({ error: 'Failed to list tags' });
+  }
+});
+
+// API: Pages carrying a tag (tags may contain "/", e.g. projects/alpha)
+app.get('/api/tags/*', async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params[0] || '');
+    if (!tag) {
+      return res.status(400).json({ error: 'Invalid tag' });
+    }
+    const pages = pagesWithTag(searchIndex, tag, await hiddenPagesFor(req));
+    res.json({ tag, pages, count: pages.length });
+  } catch (error) {
+    console.error('Error listing tagged pages:', error);
+    res.status(500).json({ error: 'Failed to list tagged pages' });
+  }
+});
+
+// API: Page names shared by more than one page
+app.get('/api/reports/ambiguous', async (req, res) => {
+  try {
+    const hidden = await hiddenPagesFor(req);
+    const names = Object.keys(ambiguousNames).sort()
+      .map(name => ({ name, pages: disambiguationPages(name, hidden) }));
+    res.json({ names, count: names.length });
+  } catch (error) {
+    console.error('Error listing ambiguous page names:', error);
+    res.status(500).json({ error: 'Failed to list ambiguous page names' });
+  }
+});
+
+// API: Pages sharing one name (the target of an ambiguous [[name]] link)
+app.get('/api/reports/ambiguous/*', async (req, res) => {
+  try {
+    const name = parseWikilink(req.params[0] || '').page;
+    const pages = disambiguationPages(name, await hiddenPagesFor(req));
+    if (!pages) {
+      return res.status(404).json({ error: 'No pages share this name' });
+    }
+    res.json({ name, pages, count: pages.length });
+  } catch (error) {
+    console.error('Error listing pages for name:', error);
+    res.status(500).json({ error: 'Failed to list pages' });
+  }
+});
+
+// API: Missing pages that other pages link to (red links), most wanted first
+app.get('/api/reports/wanted', async (req, res) => {
+  try {
+    const wanted = findWantedPages(collectPageLinks(await hiddenPagesFor(req)));
+    const pages = wanted.map(entry => ({ ...entry, linkedFrom: entry.linkedFrom.map(pageListEntry) }));
+    res.json({ pages, count: pages.length });
+  } catch (error) {
+    console.error('Error building wanted pages report:', error);
+    res.status(500).json({ error: 'Failed to build wanted pages report' });
+  }
+});
+
+// API: Pages no other page links to. Home and pages linked from the sidebar
+// or global footer (shown on every page) don't count as orphans.
+app.get('/api/reports/orphans', async (req, res) => {
+  try {
+    const roots = new Set(['home']);
+    for (const special of ['_sidebar', '_footer']) {
+      const content = await fs.readFile(path.join(WIKI_DIR, `${special}.md`), 'utf-8').catch(() => '');
+      for (const target of linkedPages(extractPageLinks(content))) roots.add(target);
+    }
+
+    const hidden = await hiddenPagesFor(req);
+    const pages = findOrphanPages(collectPageLinks(), roots)
+      .filter(pagePath => !hidden.has(pagePath))
+      .map(pageListEntry);
+    res.json({ pages, count: pages.length });
+  } catch (error) {
+    console.error('Error building orphaned pages report:', error);
+    res.status(500).json({ error: 'Failed to build orphaned pages report' });
+  }
+});
+
+// API: Pages and the links between them, for the graph view. With ?page=,
+// only the pages within ?hops= links of it (default 1, at most 5).
+app.get('/api/graph', async (req, res) => {
+  try {
+    let graph = linkGraph(collectPageLinks(await hiddenPagesFor(req)));
+
+    if (req.query.page) {
+      const pagePath = String(req.query.page).replace(/^\/+/, '');
+      if (!graph.nodes.includes(pagePath)) {
+        return res.status(404).json({ error: 'Page not found' });
+      }
+      const hops = Math.min(Math.max(parseInt(req.query.hops, 10) || 1, 1), GRAPH_MAX_HOPS);
+      graph = graphNeighborhood(graph, pagePath, hops);
+    }
+
+    res.json({
+      nodes: graph.nodes.map(pageListEntry),
+      edges: graph.edges,
+      count: graph.nodes.length,
+    });
+  } catch (error) {
+    console.error('Error building link graph:', error);
+    res.status(500).json({ error: 'Failed to build link graph' });
+  }
+});
+
 // API: Get page content
 app.get('/api/page/*', async (req, res) => {
   try {
@@ -956,29 +2464,11 @@ app.get('/api/page/*', async (req, res) => {
     if (pagePath.startsWith('/')) pagePath = pagePath.slice(1);
 
     // Check if page is protected and requires authentication
-    try {
-      const configPath = path.join(WIKI_DIR, '_config.json');
-      const configContent = await fs.readFile(configPath, 'utf-8');
-      const config = JSON.parse(configContent);
-
-      // If auth is enabled and page is protected
-      if (config.authEnabled && config.protectedPages && config.protectedPages.includes(pagePath)) {
-        // Accept local admin session as well as Supabase JWT
-        const localAdmin = req.session && req.session.adminLoggedIn;
-        const user = localAdmin ? req.session.adminUser : await verifyAuth(req);
-
-        if (!user) {
-          return res.status(401).json({
-            error: 'Authentication required',
-            message: 'This page requires authentication to view. Please log in.'
-          });
-        }
-
-        console.log(`User ${user.email} accessing protected page: ${pagePath}`);
-      }
-    } catch (configError) {
-      console.error('Error checking auth config:', configError);
-      // Continue without auth check if config is missing
+    if (!(await canReadPage(req, pagePath))) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'This page requires authentication to view. Please log in.'
+      });
     }
 
     const filePath = safePath(PAGES_DIR, pagePath + '.md');
@@ -990,36 +2480,48 @@ app.get('/api/page/*', async (req, res) => {
     try {
       await fs.access(filePath);
     } catch {
+      // A page renamed or moved away may have left a redirect behind
+      const redirect = resolveRedirect(await loadRedirects(), pagePath);
+      if (redirect && !(await hiddenPagesFor(req)).has(redirect)) {
+        return res.json({ path: pagePath, redirect });
+      }
       return res.status(404).json({ error: 'Page not found' });
     }
 
     const content = await fs.readFile(filePath, 'utf-8');
 
-    // Extract footer if present (content after ---)
-    const parts = content.split(/\n---+\n/);
-    let mainContent = content;
-    let footerContent = '';
+    // Front matter is returned as metadata, never rendered. It is removed
+    // before the footer split so its closing --- isn't taken for a footer.
+    const { meta, body } = parseFrontMatter(content);
 
-    if (parts.length > 1) {
-      mainContent = parts.slice(0, -1).join('\n---\n');
-      footerContent = parts[parts.length - 1];
-    }
+    // Extract footer if present (content after ---)
+    const { main: mainContent, footer: footerContent } = splitPageFooter(body);
 
     // Expand macros then process wikilinks in main content and footer
-    const expandedMain = await expandMacros(mainContent, pagePath);
-    const expandedFooter = footerContent ? await expandMacros(footerContent, pagePath) : '';
+    const hidden = await hiddenPagesFor(req);
+    const expandedMain = await expandMacros(mainContent, pagePath, { hidden });
+    const expandedFooter = footerContent ? await expandMacros(footerContent, pagePath, { hidden }) : '';
     const processedMain = await processWikilinks(expandedMain, pagePath);
     const processedFooter = expandedFooter ? await processWikilinks(expandedFooter, pagePath) : '';
 
-    // Convert to HTML and sanitize to prevent XSS
-    const html = sanitize(marked.parse(processedMain));
-    const footerHtml = processedFooter ? sanitize(marked.parse(processedFooter)) : '';
+    // Convert to HTML and sanitize to prevent XSS. Body and footer share one
+    // slugger so a heading in both doesn't get the same id twice.
+    const slug = createSlugger();
+    const html = sanitize(renderMarkdown(processedMain, slug));
+    const footerHtml = processedFooter ? sanitize(renderMarkdown(processedFooter, slug)) : '';
 
     res.json({
       path: pagePath,
       content: html,
       footer: footerHtml,
-      raw: content
+      raw: content,
+      meta,
+      tags: extractTags(content),
+      // "Linked from" panel: other pages linking here, without protected ones
+      backlinks: findPageReferences(pagePath)
+        .filter(ref => ref.file !== pagePath && !hidden.has(ref.file))
+        .map(ref => ({ path: ref.file, title: ref.title })),
+      version: pageVersion(content)
     });
   } catch (error) {
     console.error('Error reading page:', error);
@@ -1029,34 +2531,89 @@ app.get('/api/page/*', async (req, res) => {
 
 // Tighter rate limit on all mutating endpoints
 app.use([
-  '/api/page', '/api/create', '/api/rename', '/api/special',
+  '/api/page', '/api/create', '/api/rename', '/api/move', '/api/trash', '/api/templates', '/api/special',
   '/api/config', '/api/upload-image', '/api/logo', '/api/git',
 ], writeLimiter);
 
+// Version token for optimistic concurrency: a hash of the page's raw content.
+// A save carrying an older token than the file on disk is rejected.
+function pageVersion(content) {
+  return crypto.createHash('sha1').update(content, 'utf-8').digest('hex');
+}
+
+// Saves to the same page run one at a time so the version check and the
+// write can't interleave with another save of that page
+const pageLocks = new Map();
+
+function withPageLock(pagePath, task) {
+  const result = (pageLocks.get(pagePath) || Promise.resolve()).then(task);
+  const tail = result.catch(() => {});
+  pageLocks.set(pagePath, tail);
+  tail.then(() => {
+    if (pageLocks.get(pagePath) === tail) pageLocks.delete(pagePath);
+  });
+  return result;
+}
+
 // API: Save page
 app.post('/api/page/*', requireAuth, async (req, res) => {
   try {
     let pagePath = req.params[0] || 'home';
     if (pagePath.startsWith('/')) pagePath = pagePath.slice(1);
 
-    const filePath = safePath(PAGES_DIR, pagePath + '.md');
-    if (!filePath) {
-      return res.status(400).json({ error: 'Invalid page path' });
+    const pathError = checkPagePath(pagePath);
+    if (pathError) {
+      return res.status(pathError.status).json({ error: pathError.error });
     }
-    const { content } = req.body;
+    const filePath = safePath(PAGES_DIR, pagePath + '.md');
+    const { content, baseVersion } = req.body;
 
     if (!content) {
       return res.status(400).json({ error: 'Content is required' });
     }
 
-    // Create directory if it doesn't exist
-    const dir = path.dirname(filePath);
-    await fs.mkdir(dir, { recursive: true });
+    const conflict = await withPageLock(pagePath, async () => {
+      // Reject the save if the page changed since the editor loaded it.
+      // Saves without a baseVersion (API clients, older tabs) still overwrite.
+      if (baseVersion) {
+        let currentContent = null;
+        try {
+          currentContent = await fs.readFile(filePath, 'utf-8');
+        } catch {
+          // Page was deleted meanwhile — saving recreates it
+        }
+        if (currentContent !== null && pageVersion(currentContent) !== baseVersion) {
+          return {
+            error: 'This page was changed by someone else since you started editing',
+            currentContent,
+            currentVersion: pageVersion(currentContent),
+            diff: diffLines(currentContent, content),
+          };
+        }
+      }
 
-    // Write file
-    await fs.writeFile(filePath, content, 'utf-8');
+      // Create directory if it doesn't exist
+      const dir = path.dirname(filePath);
+      await fs.mkdir(dir, { recursive: true });
+
+      // Write file
+      await fs.writeFile(filePath, content, 'utf-8');
+      return null;
+    });
+
+    if (conflict) {
+      return res.status(409).json(conflict);
+    }
 
-    res.json({ success: true, path: pagePath });
+    const previous = searchIndex.docs.get(pagePath);
+    addToSearchIndex(searchIndex, pagePath, content);
+    // New or dropped aliases change which names lead to this page
+    if ((previous ? previous.aliases : []).join() !== searchIndex.docs.get(pagePath).aliases.join()) {
+      await buildPageIndex();
+    }
+    await autoCommit([pageGitPath(pagePath)], `Update ${pagePath}`, req.user);
+
+    res.json({ success: true, path: pagePath, version: pageVersion(content) });
   } catch (error) {
     console.error('Error saving page:', error);
     res.status(500).json({ error: 'Failed to save page' });
@@ -1084,16 +2641,17 @@ app.get('/api/exists/*', async (req, res) => {
 // API: Create new page
 app.post('/api/create', requireAuth, async (req, res) => {
   try {
-    const { path: pagePath, title } = req.body;
+    const { path: pagePath, title, template } = req.body;
 
     if (!pagePath) {
       return res.status(400).json({ error: 'Path is required' });
     }
 
-    const filePath = safePath(PAGES_DIR, pagePath + '.md');
-    if (!filePath) {
-      return res.status(400).json({ error: 'Invalid page path' });
+    const pathError = checkPagePath(pagePath);
+    if (pathError) {
+      return res.status(pathError.status).json({ error: pathError.error });
     }
+    const filePath = safePath(PAGES_DIR, pagePath + '.md');
 
     // Check if file already exists
     try {
@@ -1103,21 +2661,107 @@ app.post('/api/create', requireAuth, async (req, res) => {
       // File doesn't exist, continue
     }
 
+    // Start from the chosen template, the folder's default template when
+    // none was chosen, or a blank page ("" chooses a blank page explicitly)
+    let templateName = template == null ? await defaultTemplateFor(pagePath) : template;
+    let initialContent = defaultPageContent(title);
+    if (templateName) {
+      const templateContent = await readTemplate(templateName);
+      if (templateContent !== null) {
+        initialContent = expandTemplate(templateContent, templateVariables(pagePath, title, req.user));
+      } else if (template == null) {
+        console.warn(`Default template "${templateName}" for ${pagePath} not found; creating a blank page`);
+        templateName = null;
+      } else {
+        return res.status(400).json({ error: 'Template not found' });
+      }
+    }
+
     // Create directory if needed
     const dir = path.dirname(filePath);
     await fs.mkdir(dir, { recursive: true });
 
-    // Create initial content
-    const initialContent = `# ${title || 'New Page'}\n\nStart writing your content here...\n`;
     await fs.writeFile(filePath, initialContent, 'utf-8');
+    addToSearchIndex(searchIndex, pagePath, initialContent);
+
+    // Rebuild page index
+    await buildPageIndex();
+    await autoCommit([pageGitPath(pagePath)], `Create ${pagePath}`, req.user);
+
+    res.json({ success: true, path: pagePath, template: templateName || null });
+  } catch (error) {
+    console.error('Error creating page:', error);
+    res.status(500).json({ error: 'Failed to create page' });
+  }
+});
+
+// API: List page templates, with the default for a new page at ?path=
+app.get('/api/templates', requireAuth, async (req, res) => {
+  try {
+    const pagePath = typeof req.query.path === 'string' ? req.query.path.replace(/^\/+/, '') : '';
+    res.json({
+      templates: await listTemplates(),
+      defaultTemplate: pagePath ? await defaultTemplateFor(pagePath) : null,
+    });
+  } catch (error) {
+    console.error('Error listing templates:', error);
+    res.status(500).json({ error: 'Failed to list templates' });
+  }
+});
+
+// API: Get a page template
+app.get('/api/templates/:name', requireAuth, async (req, res) => {
+  try {
+    const content = await readTemplate(req.params.name);
+    if (content === null) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ name: req.params.name, content });
+  } catch (error) {
+    console.error('Error reading template:', error);
+    res.status(500).json({ error: 'Failed to read template' });
+  }
+});
+
+// API: Create or update a page template (wiki admins only)
+app.post('/api/templates/:name', requireWikiAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { content } = req.body;
+
+    if (!TEMPLATE_NAME_RE.test(name)) {
+      return res.status(400).json({ error: 'Template names can only contain lowercase letters, numbers, and hyphens' });
+    }
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'Content is required' });
+    }
+
+    await fs.mkdir(TEMPLATES_DIR, { recursive: true });
+    await fs.writeFile(path.join(TEMPLATES_DIR, name + '.md'), content, 'utf-8');
+    await autoCommit([`_wiki/_templates/${name}.md`], `Save template ${name}`, req.user);
+
+    res.json({ success: true, name });
+  } catch (error) {
+    console.error('Error saving template:', error);
+    res.status(500).json({ error: 'Failed to save template' });
+  }
+});
+
+// API: Delete a page template (wiki admins only)
+app.delete('/api/templates/:name', requireWikiAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (await readTemplate(name) === null) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
 
-    // Rebuild page index
-    await buildPageIndex();
+    await fs.rm(path.join(TEMPLATES_DIR, name + '.md'));
+    await autoCommit([`_wiki/_templates/${name}.md`], `Delete template ${name}`, req.user);
 
-    res.json({ success: true, path: pagePath });
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error creating page:', error);
-    res.status(500).json({ error: 'Failed to create page' });
+    console.error('Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
   }
 });
 
@@ -1127,6 +2771,9 @@ app.delete('/api/page/*', requireAuth, async (req, res) => {
     let pagePath = req.params[0];
     if (pagePath.startsWith('/')) pagePath = pagePath.slice(1);
 
+    if (!pagePath) {
+      return res.status(400).json({ error: 'Page path is required' });
+    }
     if (pagePath === 'home') {
       return res.status(400).json({ error: 'Cannot delete home page' });
     }
@@ -1140,30 +2787,85 @@ app.delete('/api/page/*', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Invalid page path' });
     }
 
-    // Delete the .md file if it exists
-    try {
-      await fs.unlink(filePath);
-    } catch (err) {
-      // File might not exist, that's ok
-    }
+    // Move the page and all children to the trash
+    const trashed = await trashPage(pagePath, req.user);
 
-    // Delete the folder and all children if it exists
-    try {
-      const stats = await fs.stat(folderPath);
-      if (stats.isDirectory()) {
-        await fs.rm(folderPath, { recursive: true, force: true });
-      }
-    } catch (err) {
-      // Folder might not exist, that's ok
+    // Drop the pages from the search index, then rebuild the page index
+    removePageTreeFromSearchIndex(pagePath);
+    await buildPageIndex();
+    const protectionChanged = Boolean(trashed && trashed.protectedPages.length);
+    await autoCommit([
+      pageGitPath(pagePath), `pages/${pagePath}`,
+      ...(protectionChanged ? ['_wiki/_config.json'] : []),
+    ], `Delete ${pagePath}`, req.user);
+
+    res.json({ success: true, trashId: trashed ? trashed.id : null });
+  } catch (error) {
+    console.error('Error deleting page:', error);
+    res.status(500).json({ error: 'Failed to delete page' });
+  }
+});
+
+// API: List the trash (wiki admins only)
+app.get('/api/trash', requireWikiAdmin, async (req, res) => {
+  try {
+    const items = await listTrash();
+    res.json({ items, count: items.length });
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: 'Failed to list trash' });
+  }
+});
+
+// API: Restore a page from the trash (wiki admins only)
+app.post('/api/trash/:id/restore', requireWikiAdmin, async (req, res) => {
+  try {
+    const result = await restoreFromTrash(req.params.id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Rebuild page index
+    const { entry } = result;
+    const restored = await pageTreePaths(entry.path);
+    for (const pagePath of restored) {
+      const content = await fs.readFile(path.join(PAGES_DIR, pagePath + '.md'), 'utf-8');
+      addToSearchIndex(searchIndex, pagePath, content);
+    }
     await buildPageIndex();
+    const protectionChanged = Boolean(entry.protectedPages && entry.protectedPages.length);
+    await autoCommit([
+      pageGitPath(entry.path), `pages/${entry.path}`,
+      ...(protectionChanged ? ['_wiki/_config.json'] : []),
+    ], `Restore ${entry.path} from trash`, req.user);
+
+    res.json({ success: true, path: entry.path, pages: restored });
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    res.status(500).json({ error: 'Failed to restore page' });
+  }
+});
 
+// API: Permanently delete one page from the trash (wiki admins only)
+app.delete('/api/trash/:id', requireWikiAdmin, async (req, res) => {
+  try {
+    if (!await purgeTrash(req.params.id)) {
+      return res.status(404).json({ error: 'Not found in trash' });
+    }
     res.json({ success: true });
   } catch (error) {
-    console.error('Error deleting page:', error);
-    res.status(500).json({ error: 'Failed to delete page' });
+    console.error('Error purging trash:', error);
+    res.status(500).json({ error: 'Failed to delete from trash' });
+  }
+});
+
+// API: Empty the trash (wiki admins only)
+app.delete('/api/trash', requireWikiAdmin, async (req, res) => {
+  try {
+    await purgeTrash();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
   }
 });
 
@@ -1215,7 +2917,8 @@ app.get('/api/references/*', async (req, res) => {
     let pagePath = req.params[0];
     if (pagePath.startsWith('/')) pagePath = pagePath.slice(1);
 
-    const references = await findPageReferences(pagePath);
+    const hidden = await hiddenPagesFor(req);
+    const references = findPageReferences(pagePath).filter(ref => !hidden.has(ref.file));
     res.json({ references, count: references.length });
   } catch (error) {
     console.error('Error finding references:', error);
@@ -1223,10 +2926,26 @@ app.get('/api/references/*', async (req, res) => {
   }
 });
 
+// Dry-run response for /api/rename and /api/move: the pages that would move
+// and the link changes the move would make, with nothing written
+async function sendMovePreview(res, oldPath, newPath) {
+  const { moved, changes } = await previewPageMove(oldPath, newPath);
+  return res.json({
+    success: true,
+    dryRun: true,
+    oldPath,
+    newPath,
+    moved,
+    changes,
+    updatedPages: changes.map(change => change.path),
+    updatedCount: changes.length
+  });
+}
+
 // API: Rename page
 app.post('/api/rename', requireAuth, async (req, res) => {
   try {
-    const { oldPath, newName } = req.body;
+    const { oldPath, newName, dryRun, leaveRedirect } = req.body;
 
     if (!oldPath || !newName) {
       return res.status(400).json({ error: 'oldPath and newName are required' });
@@ -1248,44 +2967,87 @@ app.post('/api/rename', requireAuth, async (req, res) => {
     newParts[newParts.length - 1] = newName.toLowerCase();
     const newPath = newParts.join('/');
 
-    // Check if new path already exists
-    const newExists = await pageExists(newPath);
-    if (newExists) {
-      return res.status(400).json({ error: 'A page with this name already exists' });
+    const moveError = await checkPageMove(oldPath, newPath);
+    if (moveError) {
+      return res.status(moveError.status).json({ error: moveError.error });
     }
 
-    const oldFilePath = safePath(PAGES_DIR, oldPath + '.md');
-    const newFilePath = safePath(PAGES_DIR, newPath + '.md');
-    const oldFolderPath = safePath(PAGES_DIR, oldPath);
-    const newFolderPath = safePath(PAGES_DIR, newPath);
+    // Dry run: report what would change and leave every file alone
+    if (dryRun) return sendMovePreview(res, oldPath, newPath);
+
+    const moves = pageMoves(oldPath, newPath);
+    const updatedPages = await movePage(oldPath, newPath);
+    const redirectsChanged = await saveMoveRedirects(moves, leaveRedirect);
+    const protectionChanged = await editProtectedPages(list => updateProtectedPages(list, moves));
+
+    const renameMessage = updatedPages.length
+      ? `Rename ${oldPath} to ${newPath}\n\nUpdated links in: ${updatedPages.join(', ')}`
+      : `Rename ${oldPath} to ${newPath}`;
+    await autoCommit([
+      pageGitPath(oldPath), `pages/${oldPath}`,
+      pageGitPath(newPath), `pages/${newPath}`,
+      ...updatedPages.map(pageGitPath),
+      ...(redirectsChanged ? ['_wiki/_redirects.json'] : []),
+      ...(protectionChanged ? ['_wiki/_config.json'] : []),
+    ], renameMessage, req.user);
 
-    if (!oldFilePath || !newFilePath || !oldFolderPath || !newFolderPath) {
-      return res.status(400).json({ error: 'Invalid page path' });
-    }
+    res.json({
+      success: true,
+      oldPath,
+      newPath,
+      updatedPages,
+      updatedCount: updatedPages.length
+    });
+  } catch (error) {
+    console.error('Error renaming page:', error);
+    res.status(500).json({ error: error.message || 'Failed to rename page' });
+  }
+});
 
-    // Check if old file exists
-    try {
-      await fs.access(oldFilePath);
-    } catch {
-      return res.status(404).json({ error: 'Page not found' });
+// API: Move page
+app.post('/api/move', requireAuth, async (req, res) => {
+  try {
+    const { oldPath, dryRun, leaveRedirect } = req.body;
+    let { newPath } = req.body;
+
+    if (!oldPath || !newPath) {
+      return res.status(400).json({ error: 'oldPath and newPath are required' });
     }
 
-    // Update all references first
-    const updatedPages = await updatePageReferences(oldPath, newPath);
+    // Protect home page from being moved
+    if (oldPath === 'home') {
+      return res.status(400).json({ error: 'Cannot move the home page' });
+    }
 
-    // Rename the file
-    await fs.rename(oldFilePath, newFilePath);
+    // Validate newPath: folders and name of letters, numbers, hyphens
+    newPath = newPath.replace(/^\/+|\/+$/g, '').toLowerCase();
+    if (!/^[a-z0-9-]+(\/[a-z0-9-]+)*$/.test(newPath)) {
+      return res.status(400).json({ error: 'Each part of the path can only contain letters, numbers, and hyphens' });
+    }
 
-    // If there's a corresponding folder, rename it too
-    try {
-      await fs.access(oldFolderPath);
-      await fs.rename(oldFolderPath, newFolderPath);
-    } catch {
-      // No folder exists, that's okay
+    const moveError = await checkPageMove(oldPath, newPath);
+    if (moveError) {
+      return res.status(moveError.status).json({ error: moveError.error });
     }
 
-    // Rebuild page index
-    await buildPageIndex();
+    // Dry run: report what would change and leave every file alone
+    if (dryRun) return sendMovePreview(res, oldPath, newPath);
+
+    const moves = pageMoves(oldPath, newPath);
+    const updatedPages = await movePage(oldPath, newPath);
+    const redirectsChanged = await saveMoveRedirects(moves, leaveRedirect);
+    const protectionChanged = await editProtectedPages(list => updateProtectedPages(list, moves));
+
+    const moveMessage = updatedPages.length
+      ? `Move ${oldPath} to ${newPath}\n\nUpdated links in: ${updatedPages.join(', ')}`
+      : `Move ${oldPath} to ${newPath}`;
+    await autoCommit([
+      pageGitPath(oldPath), `pages/${oldPath}`,
+      pageGitPath(newPath), `pages/${newPath}`,
+      ...updatedPages.map(pageGitPath),
+      ...(redirectsChanged ? ['_wiki/_redirects.json'] : []),
+      ...(protectionChanged ? ['_wiki/_config.json'] : []),
+    ], moveMessage, req.user);
 
     res.json({
       success: true,
@@ -1295,8 +3057,8 @@ app.post('/api/rename', requireAuth, async (req, res) => {
       updatedCount: updatedPages.length
     });
   } catch (error) {
-    console.error('Error renaming page:', error);
-    res.status(500).json({ error: error.message || 'Failed to rename page' });
+    console.error('Error moving page:', error);
+    res.status(500).json({ error: error.message || 'Failed to move page' });
   }
 });
 
@@ -1605,12 +3367,41 @@ app.delete('/api/logo', requireWikiAdmin, async (req, res) => {
   }
 });
 
+// The trash stays out of git: a page purged from the trash must be gone for
+// good, not kept in the wiki's history. New repositories ignore it in
+// .gitignore, and staging leaves it out for repositories made without that.
+const GIT_TRASH_PATH = '_wiki/_trash/';
+
+async function ignoreTrashInGit() {
+  const file = path.join(WIKI_HOME, '.gitignore');
+  let current = '';
+  try {
+    current = await fs.readFile(file, 'utf-8');
+  } catch {
+    // No .gitignore yet
+  }
+  if (current.split(/\r?\n/).some(line => line.trim() === GIT_TRASH_PATH)) return;
+  const separator = current && !current.endsWith('\n') ? '\n' : '';
+  await fs.writeFile(file, `${current}${separator}${GIT_TRASH_PATH}\n`, 'utf-8');
+}
+
+// Stage every change in the wiki except the trash, which is taken back out of
+// the index (also untracking any of it an older backup committed). An exclude
+// pathspec can't be used: git refuses it once .gitignore lists the trash.
+async function stageWikiChanges() {
+  await runGit(['add', '-A', '--', '.']);
+  await runGit(['rm', '-r', '-q', '--cached', '--ignore-unmatch', '--', GIT_TRASH_PATH]);
+}
+
 // API: Git operations
 app.post('/api/git/init', requireAuth, async (req, res) => {
   try {
-    await execFilePromise('git', ['init'], { cwd: WIKI_HOME });
-    await execFilePromise('git', ['add', '.'], { cwd: WIKI_HOME });
-    await execFilePromise('git', ['commit', '-m', 'Initial commit'], { cwd: WIKI_HOME });
+    await queueGit(async () => {
+      await execFilePromise('git', ['init'], { cwd: WIKI_HOME });
+      await ignoreTrashInGit();
+      await stageWikiChanges();
+      await execFilePromise('git', ['commit', '-m', 'Initial commit'], { cwd: WIKI_HOME });
+    });
     res.json({ success: true, message: 'Git repository initialized' });
   } catch (error) {
     console.error('Error initializing git:', error);
@@ -1631,15 +3422,17 @@ app.post('/api/git/backup', requireAuth, async (req, res) => {
       ? message.trim()
       : `Backup ${new Date().toISOString()}`;
 
-    // Add all changes
-    await execFilePromise('git', ['add', '.'], { cwd: WIKI_HOME });
+    await queueGit(async () => {
+      // Add all changes
+      await stageWikiChanges();
 
-    // Commit — ignore failure when there is nothing new to commit
-    try {
-      await execFilePromise('git', ['commit', '-m', commitMessage], { cwd: WIKI_HOME });
-    } catch {
-      // Nothing to commit, that's ok
-    }
+      // Commit — ignore failure when there is nothing new to commit
+      try {
+        await execFilePromise('git', ['commit', '-m', commitMessage], { cwd: WIKI_HOME });
+      } catch {
+        // Nothing to commit, that's ok
+      }
+    });
 
     // Push if remote is provided
     if (remote) {
@@ -1673,6 +3466,461 @@ app.get('/api/git/status', requireAuth, async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Page history — read from the git repository that /api/git/init and
+// /api/git/backup maintain in WIKI_HOME.
+// ---------------------------------------------------------------------------
+
+function runGit(args) {
+  return execFilePromise('git', args, { cwd: WIKI_HOME, maxBuffer: 32 * 1024 * 1024 });
+}
+
+// Only WIKI_HOME's own repository counts; a parent checkout (e.g. the app repo
+// containing ./wiki-data) must not be mistaken for wiki history.
+function hasWikiRepo() {
+  return fsSync.existsSync(path.join(WIKI_HOME, '.git'));
+}
+
+// Path of a page's file relative to WIKI_HOME, as git sees it
+function pageGitPath(pagePath) {
+  return `pages/${pagePath}.md`;
+}
+
+// `git log` output format: each commit starts with a record separator (\x1e)
+// and its fields are split by unit separators (\x1f), neither of which can
+// appear in author names or commit subjects.
+const GIT_FIELD_SEP = '\x1f';
+const GIT_RECORD_SEP = '\x1e';
+const GIT_LOG_FORMAT = '%x1e%H%x1f%h%x1f%an%x1f%ae%x1f%aI%x1f%s';
+
+// Parse `git log --name-only --format=GIT_LOG_FORMAT` output. `file` is the
+// page's path at that commit, which differs from today's after a rename.
+function parseGitLog(stdout) {
+  return stdout
+    .split(GIT_RECORD_SEP)
+    .filter(record => record.trim())
+    .map(record => {
+      const [header, ...rest] = record.split('\n');
+      const [hash, shortHash, author, email, date, message] = header.split(GIT_FIELD_SEP);
+      const file = rest.map(l => l.trim()).find(Boolean) || null;
+      return { hash, shortHash, author, email, date, message, file };
+    });
+}
+
+// Commits touching a page, newest first, following it across renames
+async function getPageHistory(pagePath) {
+  try {
+    const { stdout } = await runGit([
+      'log', '--follow', '--name-only', `--format=${GIT_LOG_FORMAT}`, '--', pageGitPath(pagePath),
+    ]);
+    return parseGitLog(stdout);
+  } catch {
+    // Repository without commits yet
+    return [];
+  }
+}
+
+// Raw markdown of a page at one of its revisions, or null if the revision
+// does not belong to this page's history or the file did not exist there
+async function getPageAtRevision(pagePath, rev) {
+  const commit = (await getPageHistory(pagePath)).find(c => c.hash.startsWith(rev));
+  if (!commit) return null;
+  try {
+    const { stdout } = await runGit(['show', `${commit.hash}:${commit.file || pageGitPath(pagePath)}`]);
+    return { commit, raw: stdout };
+  } catch {
+    // The commit deleted the file
+    return null;
+  }
+}
+
+// Display name of the user making a change
+function userName(user) {
+  const email = (user && user.email) || 'unknown@localhost';
+  const meta = (user && user.user_metadata) || {};
+  return meta.full_name || meta.name || meta.user_name || email.split('@')[0];
+}
+
+// "Name <email>" for the user making a change, used as the git author
+function gitAuthor(user) {
+  const email = (user && user.email) || 'unknown@localhost';
+  return `${userName(user)} <${email}>`;
+}
+
+// Git refuses to commit without an identity; fall back to a generic committer
+// when the server account has none configured (the author is set per commit)
+async function gitIdentityArgs() {
+  try {
+    await runGit(['config', 'user.email']);
+    return [];
+  } catch {
+    return ['-c', 'user.name=Massive Wiki', '-c', 'user.email=wiki@localhost'];
+  }
+}
+
+// Git commands that touch the index are queued so concurrent requests never
+// race for .git/index.lock
+let gitQueue = Promise.resolve();
+
+function queueGit(task) {
+  const result = gitQueue.then(task);
+  gitQueue = result.catch(() => {});
+  return result;
+}
+
+// Commit changes to `paths` (relative to WIKI_HOME) as `user`. Only those paths
+// are committed; paths that neither exist nor were ever tracked are skipped so
+// a deleted or never-created folder doesn't make git reject the pathspec.
+// Resolves to the new commit hash, or null when nothing changed.
+function commitChanges(paths, message, user) {
+  return queueGit(async () => {
+    const { stdout: tracked } = await runGit(['ls-files', '-z', '--', ...paths]);
+    const trackedFiles = tracked.split('\0').filter(Boolean);
+    const known = paths.filter(p =>
+      fsSync.existsSync(path.join(WIKI_HOME, p)) ||
+      trackedFiles.some(f => f === p || f.startsWith(p + '/'))
+    );
+    if (known.length === 0) return null;
+
+    await runGit(['add', '-A', '--', ...known]);
+    const { stdout: staged } = await runGit(['diff', '--cached', '--name-only', '--', ...known]);
+    if (!staged.trim()) return null;
+
+    const identity = await gitIdentityArgs();
+    await runGit([...identity, 'commit', '-q', '-m', message, `--author=${gitAuthor(user)}`, '--', ...known]);
+    const { stdout } = await runGit(['rev-parse', 'HEAD']);
+    return stdout.trim();
+  });
+}
+
+// With `autoCommit: true` in _config.json every page change is committed as it
+// happens. A failed commit is logged but never fails the edit itself — the
+// file is already written and the next commit or backup will pick it up.
+async function autoCommit(paths, message, user) {
+  try {
+    const config = JSON.parse(await fs.readFile(path.join(WIKI_DIR, '_config.json'), 'utf-8'));
+    if (config.autoCommit !== true || !hasWikiRepo()) return null;
+  } catch {
+    return null;
+  }
+
+  try {
+    return await commitChanges(paths, message, user);
+  } catch (error) {
+    console.error('Auto-commit failed:', error.message);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Line and word diffs (Myers' O(ND) algorithm) for comparing page revisions.
+// ---------------------------------------------------------------------------
+const DIFF_MAX_EDITS = 2000; // beyond this, the changed region is shown as replaced wholesale
+
+// Shortest edit script turning a into b, as [{ type, value }] where type is
+// 'equal', 'delete' or 'insert'. Returns null when more than DIFF_MAX_EDITS
+// edits would be needed.
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const maxEdits = Math.min(n + m, DIFF_MAX_EDITS);
+  // rows[d][k + d] = furthest x reached on diagonal k after d edits
+  const rows = [];
+
+  for (let d = 0; d <= maxEdits; d++) {
+    const prev = rows[d - 1];
+    const row = new Int32Array(2 * d + 1);
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (d === 0) {
+        x = 0;
+      } else if (k === -d || (k !== d && prev[k - 1 + d - 1] < prev[k + 1 + d - 1])) {
+        x = prev[k + 1 + d - 1];     // step down: insert from b
+      } else {
+        x = prev[k - 1 + d - 1] + 1; // step right: delete from a
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      row[k + d] = x;
+      if (x >= n && y >= m) {
+        rows.push(row);
+        return backtrackDiff(rows, a, b);
+      }
+    }
+    rows.push(row);
+  }
+  return null;
+}
+
+function backtrackDiff(rows, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = rows.length - 1; d > 0; d--) {
+    const prev = rows[d - 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && prev[k - 1 + d - 1] < prev[k + 1 + d - 1])) ? k + 1 : k - 1;
+    const prevX = prev[prevK + d - 1];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) { ops.push({ type: 'equal', value: a[--x] }); y--; }
+    if (x === prevX) {
+      ops.push({ type: 'insert', value: b[--y] });
+    } else {
+      ops.push({ type: 'delete', value: a[--x] });
+    }
+  }
+  while (x > 0 && y > 0) { ops.push({ type: 'equal', value: a[--x] }); y--; }
+
+  return ops.reverse();
+}
+
+// Myers diff with the common prefix and suffix trimmed first (cheap, and the
+// usual case for an edited page), falling back to "replace everything in
+// between" for pathological inputs.
+function diffSequences(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = myersDiff(middleA, middleB) || [
+    ...middleA.map(value => ({ type: 'delete', value })),
+    ...middleB.map(value => ({ type: 'insert', value })),
+  ];
+
+  return [
+    ...a.slice(0, start).map(value => ({ type: 'equal', value })),
+    ...middle,
+    ...a.slice(endA).map(value => ({ type: 'equal', value })),
+  ];
+}
+
+// Word-level diff of two lines; whitespace and punctuation are kept as their
+// own tokens so the segments concatenate back to the original lines.
+function diffWords(oldLine, newLine) {
+  const split = line => line.split(/(\s+|[^\p{L}\p{N}\s])/u).filter(Boolean);
+  const merged = [];
+  for (const op of diffSequences(split(oldLine), split(newLine))) {
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.value;
+    } else {
+      merged.push({ ...op });
+    }
+  }
+  return merged;
+}
+
+// Structured line diff between two texts. Each line carries its line numbers
+// on either side; a run of deleted lines directly followed by inserted lines
+// is paired up line by line and given word-level segments (`words`).
+function diffLines(oldText, newText) {
+  const ops = diffSequences(oldText.split('\n'), newText.split('\n'));
+  const lines = [];
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const op of ops) {
+    if (op.type === 'equal') {
+      lines.push({ type: 'equal', oldLine: ++oldLine, newLine: ++newLine, text: op.value });
+    } else if (op.type === 'delete') {
+      lines.push({ type: 'delete', oldLine: ++oldLine, newLine: null, text: op.value });
+    } else {
+      lines.push({ type: 'insert', oldLine: null, newLine: ++newLine, text: op.value });
+    }
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].type !== 'delete') continue;
+    let delEnd = i;
+    while (delEnd < lines.length && lines[delEnd].type === 'delete') delEnd++;
+    let insEnd = delEnd;
+    while (insEnd < lines.length && lines[insEnd].type === 'insert') insEnd++;
+
+    const pairs = Math.min(delEnd - i, insEnd - delEnd);
+    for (let p = 0; p < pairs; p++) {
+      const words = diffWords(lines[i + p].text, lines[delEnd + p].text);
+      lines[i + p].words = words.filter(w => w.type !== 'insert');
+      lines[delEnd + p].words = words.filter(w => w.type !== 'delete');
+    }
+    i = insEnd - 1;
+  }
+
+  return {
+    lines,
+    stats: {
+      added: lines.filter(l => l.type === 'insert').length,
+      removed: lines.filter(l => l.type === 'delete').length,
+    },
+  };
+}
+
+// API: Get a page as it was at a given revision.
+// Registered before the list route: "/api/history/notes/abc1234" is a
+// revision of "notes" unless a page "notes/abc1234" actually exists.
+app.get('/api/history/*/:rev([0-9a-f]{7,40})', async (req, res, next) => {
+  try {
+    let pagePath = req.params[0];
+    if (pagePath.startsWith('/')) pagePath = pagePath.slice(1);
+    const { rev } = req.params;
+
+    if (await pageExists(`${pagePath}/${rev}`)) return next('route');
+
+    if (!safePath(PAGES_DIR, pagePath + '.md')) {
+      return res.status(400).json({ error: 'Invalid page path' });
+    }
+    if (!(await canReadPage(req, pagePath))) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasWikiRepo()) {
+      return res.status(404).json({ error: 'Not a git repository' });
+    }
+
+    const revision = await getPageAtRevision(pagePath, rev);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found for this page' });
+    }
+
+    const processed = await processWikilinks(parseFrontMatter(revision.raw).body, pagePath);
+    res.json({
+      path: pagePath,
+      commit: revision.commit,
+      content: sanitize(renderMarkdown(processed)),
+      raw: revision.raw,
+    });
+  } catch (error) {
+    console.error('Error reading page revision:', error);
+    res.status(500).json({ error: 'Failed to read page revision' });
+  }
+});
+
+// API: Restore a page to an earlier revision. The old content is written back
+// and committed as a new change authored by the current user; history is
+// never rewritten.
+app.post('/api/history/*/restore', writeLimiter, requireAuth, async (req, res) => {
+  try {
+    let pagePath = req.params[0];
+    if (pagePath.startsWith('/')) pagePath = pagePath.slice(1);
+    const { rev } = req.body || {};
+
+    if (typeof rev !== 'string' || !/^[0-9a-f]{7,40}$/.test(rev)) {
+      return res.status(400).json({ error: 'rev must be a commit hash' });
+    }
+    const filePath = safePath(PAGES_DIR, pagePath + '.md');
+    if (!filePath) {
+      return res.status(400).json({ error: 'Invalid page path' });
+    }
+    if (!hasWikiRepo()) {
+      return res.status(400).json({ error: 'Not a git repository' });
+    }
+
+    const revision = await getPageAtRevision(pagePath, rev);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found for this page' });
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, revision.raw, 'utf-8');
+    addToSearchIndex(searchIndex, pagePath, revision.raw);
+    await buildPageIndex();
+
+    const commit = await commitChanges(
+      [pageGitPath(pagePath)],
+      `Restore ${pagePath} to ${revision.commit.shortHash}`,
+      req.user
+    );
+
+    console.log(`${req.user.email} restored ${pagePath} to ${revision.commit.shortHash}`);
+    res.json({ success: true, path: pagePath, restoredFrom: revision.commit.hash, commit });
+  } catch (error) {
+    console.error('Error restoring page:', error);
+    res.status(500).json({ error: 'Failed to restore page' });
+  }
+});
+
+// API: Diff two versions of a page. `from` and `to` are commit hashes or
+// "current" (the file on disk); `to` defaults to "current".
+app.get('/api/diff/*', async (req, res) => {
+  try {
+    let pagePath = req.params[0];
+    if (pagePath.startsWith('/')) pagePath = pagePath.slice(1);
+
+    const from = String(req.query.from || '');
+    const to = String(req.query.to || 'current');
+    const isValidRev = rev => rev === 'current' || /^[0-9a-f]{7,40}$/.test(rev);
+    if (!isValidRev(from) || !isValidRev(to)) {
+      return res.status(400).json({ error: 'from and to must be commit hashes or "current"' });
+    }
+
+    const filePath = safePath(PAGES_DIR, pagePath + '.md');
+    if (!filePath) {
+      return res.status(400).json({ error: 'Invalid page path' });
+    }
+    if (!(await canReadPage(req, pagePath))) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    async function loadVersion(rev) {
+      if (rev === 'current') {
+        try {
+          return { rev, commit: null, raw: await fs.readFile(filePath, 'utf-8') };
+        } catch {
+          return null;
+        }
+      }
+      if (!hasWikiRepo()) return null;
+      const revision = await getPageAtRevision(pagePath, rev);
+      return revision && { rev: revision.commit.hash, commit: revision.commit, raw: revision.raw };
+    }
+
+    const [oldVersion, newVersion] = [await loadVersion(from), await loadVersion(to)];
+    if (!oldVersion || !newVersion) {
+      return res.status(404).json({ error: `Revision not found: ${!oldVersion ? from : to}` });
+    }
+
+    const { lines, stats } = diffLines(oldVersion.raw, newVersion.raw);
+    res.json({
+      path: pagePath,
+      from: { rev: oldVersion.rev, commit: oldVersion.commit },
+      to: { rev: newVersion.rev, commit: newVersion.commit },
+      lines,
+      stats,
+    });
+  } catch (error) {
+    console.error('Error diffing page:', error);
+    res.status(500).json({ error: 'Failed to diff page' });
+  }
+});
+
+// API: List the commits that touched a page
+app.get('/api/history/*', async (req, res) => {
+  try {
+    let pagePath = req.params[0];
+    if (pagePath.startsWith('/')) pagePath = pagePath.slice(1);
+
+    if (!safePath(PAGES_DIR, pagePath + '.md')) {
+      return res.status(400).json({ error: 'Invalid page path' });
+    }
+    if (!(await canReadPage(req, pagePath))) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasWikiRepo()) {
+      return res.json({ path: pagePath, commits: [], count: 0, error: 'Not a git repository' });
+    }
+
+    const commits = await getPageHistory(pagePath);
+    res.json({ path: pagePath, commits, count: commits.length });
+  } catch (error) {
+    console.error('Error reading page history:', error);
+    res.status(500).json({ error: 'Failed to read page history' });
+  }
+});
+
 // ---------------------------------------------------------------------------
 // Initial setup routes
 // ---------------------------------------------------------------------------
@@ -1793,6 +4041,8 @@ app.get('*', (req, res) => {
 if (require.main === module) {
   (async () => {
     await initializeWiki();
+    searchIndex = await buildSearchIndex();
+    console.log(`Search index built: ${searchIndex.docs.size} pages`);
     await buildPageIndex();
     app.listen(PORT, () => {
       console.log(`Massive Wiki running on http://localhost:${PORT}`);
@@ -1801,4 +4051,19 @@ if (require.main === module) {
 }
 
 // Export for unit testing
-module.exports = { sanitize, imageFilter, initializeWiki };
+module.exports = {
+  sanitize, imageFilter, initializeWiki,
+  listPages, tokenize, markdownToPlainText, createSearchIndex, addToSearchIndex,
+  removeFromSearchIndex, searchPages, buildSearchIndex,
+  parseGitLog, GIT_LOG_FORMAT, diffSequences, diffWords, diffLines, gitAuthor,
+  pageVersion, withPageLock, parseFrontMatter, pageTitle,
+  normalizeTag, extractTags, listTags, pagesWithTag,
+  slugify, createSlugger, extractHeadings, renderMarkdown, parseWikilink, processWikilinks,
+  splitPageFooter, extractSection, expandMacros, buildPageIndex, indexPages, parseAliases,
+  extractWikilinks, extractMarkdownLinks, extractPageLinks, linkedPages, findWantedPages, findOrphanPages, linkSources,
+  rewriteLinks, linkGraph, graphNeighborhood, checkPagePath, checkPageMove, movePage, previewPageMove,
+  trashPage, listTrash, restoreFromTrash, purgeTrash, updateRedirects, resolveRedirect,
+  updateProtectedPages, editProtectedPages, ignoreTrashInGit, stageWikiChanges,
+  autoCommit, commitChanges, queueGit, pageGitPath,
+  listTemplates, readTemplate, templateVariables, expandTemplate, folderTemplate,
+};
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for automatic git commits
+ *
+ * Builds a throwaway wiki with its own git repository (pointed to with
+ * --home before server.js loads) and checks with `git log` that saving,
+ * creating, renaming and deleting a page each make one commit authored by
+ * the user, that only the given paths are committed and missing ones are
+ * skipped, and that queued commits land in the order they were made.
+ *
+ * Run:  node test-autocommit.js
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const os   = require('os');
+const { execFileSync } = require('child_process');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'massivewiki-autocommit-'));
+process.argv.push('--home', home);
+
+const {
+  autoCommit, commitChanges, queueGit, pageGitPath,
+} = require('./server.js');
+
+// ─── Test harness ──────────────────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓  ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  ✗  ${name}`);
+    console.log(`       ${err.message}`);
+    failed++;
+  }
+}
+
+function ok(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ─── Helpers ───────────────────────────────────────────────────────────────
+const pagesDir = path.join(home, 'pages');
+const configFile = path.join(home, '_wiki', '_config.json');
+const user = { email: 'ada@example.com', user_metadata: { full_name: 'Ada Lovelace' } };
+
+const git = (...args) => execFileSync('git', args, { cwd: home, encoding: 'utf-8' });
+const commitCount = () => Number(git('rev-list', '--count', 'HEAD').trim());
+// Subject, author and changed files ("A pages/x.md") of the latest commit
+const lastCommit = () => {
+  const [subject, author, ...files] = git('log', '-1', '--name-status', '--format=%s%n%an <%ae>')
+    .split('\n').filter(Boolean);
+  return { subject, author, files: files.map(line => line.replace(/\t/g, ' ')) };
+};
+
+function writePage(pagePath, content) {
+  const file = path.join(pagesDir, pagePath + '.md');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+const setAutoCommit = enabled => fs.writeFileSync(configFile, JSON.stringify({ autoCommit: enabled }));
+
+// ─── Tests ─────────────────────────────────────────────────────────────────
+(async () => {
+  console.log('\n── automatic git commit unit tests ──\n');
+
+  writePage('home', '# Home');
+  writePage('notes', '# Notes');
+  fs.mkdirSync(path.dirname(configFile), { recursive: true });
+  setAutoCommit(true);
+  git('init', '-q');
+  git('config', 'user.name', 'Wiki Server');
+  git('config', 'user.email', 'wiki@localhost');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'Initial commit');
+
+  try {
+    console.log('Suite 1: autoCommit()');
+
+    await test('does nothing unless autoCommit is on', async () => {
+      setAutoCommit(false);
+      writePage('notes', '# Notes\n\nDraft.');
+      const before = commitCount();
+      ok(await autoCommit([pageGitPath('notes')], 'Update notes', user) === null, 'commit made');
+      ok(commitCount() === before, 'commit count changed');
+      setAutoCommit(true);
+    });
+
+    await test('a save is one commit by the user', async () => {
+      const before = commitCount();
+      const hash = await autoCommit([pageGitPath('notes')], 'Update notes', user);
+      const commit = lastCommit();
+      ok(commitCount() === before + 1, `${commitCount() - before} commits`);
+      ok(hash === git('rev-parse', 'HEAD').trim(), `returned ${hash}`);
+      ok(commit.subject === 'Update notes' && commit.author === 'Ada Lovelace <ada@example.com>', JSON.stringify(commit));
+      ok(commit.files.join() === 'M pages/notes.md', commit.files.join());
+    });
+
+    await test('a create is one commit of only that page', async () => {
+      writePage('guides/setup', '# Setup');
+      fs.writeFileSync(path.join(home, 'stray.txt'), 'not part of the change');
+      const before = commitCount();
+      await autoCommit([pageGitPath('guides/setup')], 'Create guides/setup', user);
+      ok(commitCount() === before + 1, `${commitCount() - before} commits`);
+      ok(lastCommit().files.join() === 'A pages/guides/setup.md', lastCommit().files.join());
+      ok(git('status', '--porcelain').includes('stray.txt'), 'unrelated file committed');
+    });
+
+    await test('a rename is one commit, skipping folders that never existed', async () => {
+      fs.mkdirSync(path.join(pagesDir, 'manual'), { recursive: true });
+      fs.renameSync(path.join(pagesDir, 'guides', 'setup.md'), path.join(pagesDir, 'manual', 'install.md'));
+      const before = commitCount();
+      await autoCommit([
+        pageGitPath('guides/setup'), 'pages/guides/setup',
+        pageGitPath('manual/install'), 'pages/manual/install',
+      ], 'Rename guides/setup to manual/install', user);
+      const commit = lastCommit();
+      ok(commitCount() === before + 1, `${commitCount() - before} commits`);
+      ok(commit.subject === 'Rename guides/setup to manual/install', commit.subject);
+      ok(/^R\d* pages\/guides\/setup\.md pages\/manual\/install\.md$/.test(commit.files.join()), commit.files.join());
+    });
+
+    await test('a delete is one commit removing the page', async () => {
+      fs.rmSync(path.join(pagesDir, 'manual', 'install.md'));
+      const before = commitCount();
+      await autoCommit([pageGitPath('manual/install'), 'pages/manual/install'], 'Delete manual/install', user);
+      ok(commitCount() === before + 1, `${commitCount() - before} commits`);
+      ok(lastCommit().files.join() === 'D pages/manual/install.md', lastCommit().files.join());
+      ok(lastCommit().author === 'Ada Lovelace <ada@example.com>', lastCommit().author);
+    });
+
+    console.log('\nSuite 2: commitChanges()');
+
+    await test('paths that are neither on disk nor tracked are skipped', async () => {
+      const before = commitCount();
+      ok(await commitChanges(['pages/nowhere.md', 'pages/nowhere'], 'Delete nowhere', user) === null, 'commit made');
+      ok(commitCount() === before, 'commit count changed');
+    });
+
+    await test('nothing changed means no commit', async () => {
+      const before = commitCount();
+      ok(await commitChanges([pageGitPath('notes')], 'Update notes', user) === null, 'empty commit made');
+      ok(commitCount() === before, 'commit count changed');
+    });
+
+    console.log('\nSuite 3: queueGit()');
+
+    await test('commits made together land in the order they were made', async () => {
+      const names = ['one', 'two', 'three', 'four'];
+      names.forEach(name => writePage(name, `# ${name}`));
+      await Promise.all(names.map(name => commitChanges([pageGitPath(name)], `Create ${name}`, user)));
+      const subjects = git('log', `-${names.length}`, '--format=%s').trim().split('\n').reverse();
+      ok(subjects.join() === names.map(name => `Create ${name}`).join(), subjects.join());
+    });
+
+    await test('a failed task does not stop the ones queued after it', async () => {
+      const order = [];
+      const failing = queueGit(async () => { order.push('fail'); throw new Error('boom'); });
+      const next = queueGit(async () => { order.push('next'); return 'done'; });
+      ok(await failing.then(() => 'resolved', err => err.message) === 'boom', 'failure not passed on');
+      ok(await next === 'done' && order.join() === 'fail,next', order.join());
+    });
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+
+  // ─── Summary ───────────────────────────────────────────────────────────────
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
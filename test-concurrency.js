@@ -0,0 +1,89 @@
+/**
+ * Unit tests for optimistic concurrency on page saves
+ *
+ * Covers the version token returned with each page and the per-page lock
+ * that keeps a save's version check and write from interleaving.
+ *
+ * Run:  node test-concurrency.js
+ */
+
+'use strict';
+
+const { pageVersion, withPageLock } = require('./server.js');
+
+// ─── Test harness ──────────────────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓  ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  ✗  ${name}`);
+    console.log(`       ${err.message}`);
+    failed++;
+  }
+}
+
+function ok(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// ─── Tests ─────────────────────────────────────────────────────────────────
+(async () => {
+  console.log('\n── save concurrency unit tests ──\n');
+
+  console.log('Suite 1: pageVersion()');
+
+  await test('same content gives the same version', async () => {
+    ok(pageVersion('# Notes\n') === pageVersion('# Notes\n'), 'versions differ');
+  });
+
+  await test('any change gives a new version', async () => {
+    ok(pageVersion('# Notes\n') !== pageVersion('# Notes \n'), 'trailing space not detected');
+  });
+
+  await test('version is a hex token', async () => {
+    ok(/^[0-9a-f]{40}$/.test(pageVersion('')), pageVersion(''));
+  });
+
+  console.log('\nSuite 2: withPageLock()');
+
+  await test('tasks on the same page run one at a time', async () => {
+    const events = [];
+    const task = name => async () => {
+      events.push(`${name}:start`);
+      await tick();
+      await tick();
+      events.push(`${name}:end`);
+    };
+    await Promise.all([withPageLock('notes', task('a')), withPageLock('notes', task('b'))]);
+    ok(events.join() === 'a:start,a:end,b:start,b:end', events.join());
+  });
+
+  await test('tasks on different pages do not wait for each other', async () => {
+    const events = [];
+    const task = name => async () => {
+      events.push(`${name}:start`);
+      await tick();
+      events.push(`${name}:end`);
+    };
+    await Promise.all([withPageLock('one', task('a')), withPageLock('two', task('b'))]);
+    ok(events.indexOf('b:start') < events.indexOf('a:end'), events.join());
+  });
+
+  await test('a failed task does not block the next one', async () => {
+    const first = withPageLock('notes', async () => { throw new Error('boom'); });
+    const second = withPageLock('notes', async () => 'saved');
+    await first.catch(() => {});
+    ok(await second === 'saved', 'second task did not run');
+  });
+
+  // ─── Summary ───────────────────────────────────────────────────────────────
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
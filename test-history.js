@@ -0,0 +1,195 @@
+/**
+ * Unit tests for page history helpers
+ *
+ * Runs real `git log` commands in a throwaway repository so the parser is
+ * checked against genuine git output, including history across a rename,
+ * checks the line/word diff used to compare revisions, and the author
+ * string recorded on restore commits.
+ *
+ * Run:  node test-history.js
+ */
+
+'use strict';
+
+const fs     = require('fs').promises;
+const path   = require('path');
+const os     = require('os');
+const util   = require('util');
+const { execFile } = require('child_process');
+
+const {
+  parseGitLog, GIT_LOG_FORMAT, diffSequences, diffWords, diffLines, gitAuthor,
+} = require('./server.js');
+
+const execFilePromise = util.promisify(execFile);
+
+// ─── Test harness ──────────────────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓  ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  ✗  ${name}`);
+    console.log(`       ${err.message}`);
+    failed++;
+  }
+}
+
+function ok(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ─── Helpers ───────────────────────────────────────────────────────────────
+async function git(cwd, ...args) {
+  const { stdout } = await execFilePromise('git', [
+    '-c', 'user.name=Test Author', '-c', 'user.email=author@example.com', ...args,
+  ], { cwd });
+  return stdout;
+}
+
+async function commitFile(repo, file, content, message) {
+  await fs.mkdir(path.dirname(path.join(repo, file)), { recursive: true });
+  await fs.writeFile(path.join(repo, file), content);
+  await git(repo, 'add', '-A');
+  await git(repo, 'commit', '-q', '-m', message);
+}
+
+// ─── Tests ─────────────────────────────────────────────────────────────────
+(async () => {
+  console.log('\n── page history unit tests ──\n');
+
+  const repo = await fs.mkdtemp(path.join(os.tmpdir(), 'massivewiki-history-'));
+  try {
+    await git(repo, 'init', '-q');
+    await commitFile(repo, 'pages/notes.md', '# Notes\n', 'Create notes');
+    await commitFile(repo, 'pages/other.md', '# Other\n', 'Unrelated page');
+    await commitFile(repo, 'pages/notes.md', '# Notes\n\nMore.\n', 'Edit notes | with a pipe: and colon');
+    await git(repo, 'mv', 'pages/notes.md', 'pages/journal.md');
+    await git(repo, 'commit', '-q', '-m', 'Rename notes to journal');
+
+    const log = await git(repo, 'log', '--follow', '--name-only', `--format=${GIT_LOG_FORMAT}`, '--', 'pages/journal.md');
+    const commits = parseGitLog(log);
+
+    console.log('Suite 1: parseGitLog()');
+
+    await test('returns one entry per commit touching the page', async () => {
+      ok(commits.length === 3, `Expected 3 commits, got ${commits.length}`);
+    });
+
+    await test('lists newest commit first', async () => {
+      ok(commits[0].message === 'Rename notes to journal', `Got "${commits[0].message}"`);
+    });
+
+    await test('parses author, email and ISO date', async () => {
+      ok(commits[0].author === 'Test Author', `author: ${commits[0].author}`);
+      ok(commits[0].email === 'author@example.com', `email: ${commits[0].email}`);
+      ok(!Number.isNaN(Date.parse(commits[0].date)), `date: ${commits[0].date}`);
+    });
+
+    await test('keeps full and short hashes', async () => {
+      ok(/^[0-9a-f]{40}$/.test(commits[0].hash), `hash: ${commits[0].hash}`);
+      ok(commits[0].hash.startsWith(commits[0].shortHash), 'short hash is not a prefix of the full hash');
+    });
+
+    await test('keeps punctuation in commit subjects', async () => {
+      ok(commits[1].message === 'Edit notes | with a pipe: and colon', `Got "${commits[1].message}"`);
+    });
+
+    await test('records the file path at each commit across a rename', async () => {
+      ok(commits[0].file === 'pages/journal.md', `newest file: ${commits[0].file}`);
+      ok(commits[2].file === 'pages/notes.md', `oldest file: ${commits[2].file}`);
+    });
+
+    await test('returns an empty list for empty output', async () => {
+      ok(parseGitLog('').length === 0, 'Expected no commits');
+    });
+  } finally {
+    await fs.rm(repo, { recursive: true, force: true });
+  }
+
+  console.log('\nSuite 2: diffSequences()');
+
+  // Rebuild both inputs from an edit script to prove it is complete
+  const sides = ops => [
+    ops.filter(o => o.type !== 'insert').map(o => o.value),
+    ops.filter(o => o.type !== 'delete').map(o => o.value),
+  ];
+
+  await test('identical inputs are all equal', async () => {
+    const ops = diffSequences(['a', 'b'], ['a', 'b']);
+    ok(ops.every(o => o.type === 'equal') && ops.length === 2, JSON.stringify(ops));
+  });
+
+  await test('edit script reproduces both inputs', async () => {
+    const a = ['a', 'b', 'c', 'a', 'b', 'b', 'a'];
+    const b = ['c', 'b', 'a', 'b', 'a', 'c'];
+    const [oldSide, newSide] = sides(diffSequences(a, b));
+    ok(oldSide.join() === a.join(), `old side: ${oldSide}`);
+    ok(newSide.join() === b.join(), `new side: ${newSide}`);
+  });
+
+  await test('edit script is minimal (Myers example: 5 edits)', async () => {
+    const ops = diffSequences('ABCABBA'.split(''), 'CBABAC'.split(''));
+    const edits = ops.filter(o => o.type !== 'equal').length;
+    ok(edits === 5, `Expected 5 edits, got ${edits}`);
+  });
+
+  await test('handles empty inputs', async () => {
+    ok(diffSequences([], ['x']).every(o => o.type === 'insert'), 'expected only inserts');
+    ok(diffSequences(['x'], []).every(o => o.type === 'delete'), 'expected only deletes');
+    ok(diffSequences([], []).length === 0, 'expected no ops');
+  });
+
+  console.log('\nSuite 3: diffWords() and diffLines()');
+
+  await test('word diff isolates the changed word', async () => {
+    const words = diffWords('the quick fox', 'the slow fox');
+    const changed = words.filter(w => w.type !== 'equal').map(w => `${w.type}:${w.value}`);
+    ok(changed.join() === 'delete:quick,insert:slow', changed.join());
+  });
+
+  await test('line diff numbers lines on each side', async () => {
+    const { lines } = diffLines('a\nb\nc', 'a\nc\nd');
+    const summary = lines.map(l => `${l.type}:${l.oldLine}:${l.newLine}`).join(' ');
+    ok(summary === 'equal:1:1 delete:2:null equal:3:2 insert:null:3', summary);
+  });
+
+  await test('line diff counts additions and removals', async () => {
+    const { stats } = diffLines('a\nb', 'a\nB\nc');
+    ok(stats.added === 2 && stats.removed === 1, JSON.stringify(stats));
+  });
+
+  await test('replaced lines carry word-level segments for each side', async () => {
+    const { lines } = diffLines('deploy on friday', 'deploy on monday');
+    const [del, ins] = lines;
+    ok(del.words && del.words.every(w => w.type !== 'insert'), 'old line should only have equal/delete words');
+    ok(ins.words && ins.words.every(w => w.type !== 'delete'), 'new line should only have equal/insert words');
+    ok(del.words.map(w => w.value).join('') === del.text, 'old words do not rebuild the line');
+    ok(ins.words.map(w => w.value).join('') === ins.text, 'new words do not rebuild the line');
+  });
+
+  await test('pure additions carry no word segments', async () => {
+    const { lines } = diffLines('a', 'a\nb');
+    ok(lines[1].type === 'insert' && !lines[1].words, JSON.stringify(lines[1]));
+  });
+
+  console.log('\nSuite 4: gitAuthor()');
+
+  await test('uses the display name from the auth profile', async () => {
+    const author = gitAuthor({ email: 'ada@example.com', user_metadata: { full_name: 'Ada Lovelace' } });
+    ok(author === 'Ada Lovelace <ada@example.com>', author);
+  });
+
+  await test('falls back to the email local part', async () => {
+    const author = gitAuthor({ email: 'admin@localhost', isLocalAdmin: true });
+    ok(author === 'admin <admin@localhost>', author);
+  });
+
+  // ─── Summary ───────────────────────────────────────────────────────────────
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
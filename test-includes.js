@@ -0,0 +1,146 @@
+/**
+ * Unit tests for the {{include:...}} macro
+ *
+ * Builds a throwaway wiki (pointed to with --home before server.js loads)
+ * and checks whole-page and single-section includes, nested includes, loop
+ * and depth limits, and that hidden pages are not leaked.
+ *
+ * Run:  node test-includes.js
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const os   = require('os');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'massivewiki-includes-'));
+process.argv.push('--home', home);
+
+const {
+  expandMacros, extractSection, splitPageFooter, buildPageIndex,
+} = require('./server.js');
+
+// ─── Test harness ──────────────────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓  ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  ✗  ${name}`);
+    console.log(`       ${err.message}`);
+    failed++;
+  }
+}
+
+function ok(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function writePage(pagePath, content) {
+  const file = path.join(home, 'pages', pagePath + '.md');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+// ─── Tests ─────────────────────────────────────────────────────────────────
+(async () => {
+  console.log('\n── include macro unit tests ──\n');
+
+  writePage('snippets/on-call', '---\ntitle: On-call\n---\n# On-call\n\nPage Dana first.\n---\nOwned by ops');
+  writePage('runbook', '# Runbook\n\n## Prepare\n\nTake a backup.\n\n### Checks\n\nDisk space.\n\n## Deploy\n\nShip it.\n');
+  writePage('loop-a', 'A says {{include:loop-b}}');
+  writePage('loop-b', 'B says {{include:loop-a}}');
+  for (let i = 1; i <= 7; i++) writePage(`chain-${i}`, `level ${i} {{include:chain-${i + 1}}}`);
+  writePage('chain-8', 'bottom');
+  writePage('secret', 'The vault code');
+  writePage('computers/atari', '# Atari 800');
+  writePage('games/atari', '# Atari games');
+  await buildPageIndex();
+
+  try {
+    console.log('Suite 1: extractSection() and splitPageFooter()');
+
+    const runbook = fs.readFileSync(path.join(home, 'pages', 'runbook.md'), 'utf-8');
+
+    await test('takes a section up to the next heading of the same level', async () => {
+      const section = extractSection(runbook, 'Prepare');
+      ok(section.startsWith('## Prepare') && section.includes('Disk space.'), section);
+      ok(!section.includes('Deploy'), section);
+    });
+
+    await test('matches headings by their anchor id', async () => {
+      ok(extractSection(runbook, 'deploy!').startsWith('## Deploy'), 'heading not matched');
+    });
+
+    await test('returns null for a missing section', async () => {
+      ok(extractSection(runbook, 'Rollback') === null, 'expected null');
+    });
+
+    await test('splits the footer after the last separator', async () => {
+      const { main, footer } = splitPageFooter('Main\n---\nMore\n---\nFooter');
+      ok(main === 'Main\n---\nMore' && footer === 'Footer', JSON.stringify({ main, footer }));
+      ok(splitPageFooter('No footer').footer === '', 'footer found in page without one');
+    });
+
+    console.log('\nSuite 2: expandMacros() includes');
+
+    await test('inlines a page without its front matter or footer', async () => {
+      const md = await expandMacros('Call:\n\n{{include:On-call}}', 'home');
+      ok(md.includes('Page Dana first.'), md);
+      ok(!md.includes('title:') && !md.includes('Owned by ops'), md);
+    });
+
+    await test('inlines a single section', async () => {
+      const md = await expandMacros('{{include:runbook#Deploy}}', 'home');
+      ok(md.trim() === '## Deploy\n\nShip it.', JSON.stringify(md));
+    });
+
+    await test('reports missing pages and sections inline', async () => {
+      const md = await expandMacros('{{include:nowhere}} {{include:runbook#Nope}}', 'home');
+      ok(md.includes('Page not found: nowhere') && md.includes('Section not found: runbook#Nope'), md);
+    });
+
+    await test('expands nested includes', async () => {
+      const md = await expandMacros('{{include:chain-6}}', 'home');
+      ok(md === 'level 6 level 7 bottom', md);
+    });
+
+    await test('stops include loops', async () => {
+      const md = await expandMacros('{{include:loop-a}}', 'loop-a');
+      ok(md.includes('Include loop: loop-a → loop-a'), md);
+      const nested = await expandMacros('{{include:loop-b}}', 'loop-a');
+      ok(nested.includes('B says') && nested.includes('loop-a → loop-b → loop-a'), nested);
+    });
+
+    await test('stops includes nested too deep', async () => {
+      const md = await expandMacros('{{include:chain-1}}', 'home');
+      ok(md.includes('level 5') && !md.includes('level 6') && md.includes('nested more than'), md);
+    });
+
+    await test('hidden pages look missing', async () => {
+      const md = await expandMacros('{{include:secret}}', 'home', { hidden: new Set(['secret']) });
+      ok(!md.includes('vault') && md.includes('Page not found'), md);
+    });
+
+    await test('ambiguous page names ask for a full path', async () => {
+      const md = await expandMacros('{{include:atari}} / {{include:games/atari}}', 'home');
+      ok(md.includes('Several pages are named') && md.includes('Atari games'), md);
+    });
+
+    await test('error text is escaped', async () => {
+      const md = await expandMacros('{{include:<img src=x>}}', 'home');
+      ok(!md.includes('<img') && md.includes('&lt;img'), md);
+    });
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+
+  // ─── Summary ───────────────────────────────────────────────────────────────
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
@@ -125,6 +125,7 @@ async function cleanupDir(dir) {
       ok(Array.isArray(config.protectedPages),    'protectedPages should be an array');
       ok(config.protectedPages.includes('secure'),'secure should be in protectedPages');
       ok(config.defaultHomePage === 'home',       'defaultHomePage should be "home"');
+      ok(config.autoCommit === false,             'autoCommit should default to false');
     });
 
   } finally {
@@ -0,0 +1,289 @@
+/**
+ * Unit tests for links between pages
+ *
+ * Covers which wikilinks, includes and markdown links are read from a page
+ * (and which are ignored), the link graph kept in the search index and the
+ * backlinks read from it, rewriting links when pages move, the wanted and
+ * orphaned pages reports, and the graph view's nodes and edges.
+ *
+ * Run:  node test-links.js
+ */
+
+'use strict';
+
+const {
+  extractWikilinks, extractMarkdownLinks, extractPageLinks, linkedPages, findWantedPages, findOrphanPages, indexPages,
+  linkSources, rewriteLinks, createSearchIndex, addToSearchIndex, removeFromSearchIndex,
+  linkGraph, graphNeighborhood,
+} = require('./server.js');
+
+// ─── Test harness ──────────────────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓  ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  ✗  ${name}`);
+    console.log(`       ${err.message}`);
+    failed++;
+  }
+}
+
+function ok(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+const json = value => JSON.stringify(value);
+
+const pageLinks = extractPageLinks;
+
+// ─── Tests ─────────────────────────────────────────────────────────────────
+(async () => {
+  console.log('\n── page link unit tests ──\n');
+
+  console.log('Suite 1: extractWikilinks()');
+
+  await test('reads each link target, normalized like the page index', async () => {
+    const pages = extractWikilinks('See [[Deploy Guide]], [[ops/runbook#Roll Back|undo]] and [[atari]].').map(l => l.page);
+    ok(json(pages) === json(['deploy-guide', 'ops/runbook', 'atari']), json(pages));
+  });
+
+  await test('keeps the page name as written', async () => {
+    const [link] = extractWikilinks('[[Deploy Guide|the guide]]');
+    ok(link.name === 'Deploy Guide', link.name);
+  });
+
+  await test('ignores same-page section links', async () => {
+    ok(extractWikilinks('[[#Setup]]').length === 0, 'section link counted');
+  });
+
+  await test('ignores links in code and front matter', async () => {
+    const links = extractWikilinks('---\nsee: "[[meta]]"\n---\n`[[inline]]`\n\n```\n[[fenced]]\n```\n');
+    ok(links.length === 0, json(links));
+  });
+
+  await test('counts {{include:...}} targets as wikilinks, outside code', async () => {
+    const links = extractPageLinks('[[home]] {{include: Shared/Oncall#Rota }}\n\n`{{include:example}}`');
+    ok(json(links.wikilinks.map(l => l.page)) === json(['home', 'shared/oncall']), json(links.wikilinks));
+    ok(links.wikilinks[1].heading === 'Rota', json(links.wikilinks[1]));
+  });
+
+  console.log('\nSuite 2: extractMarkdownLinks()');
+
+  await test('reads wiki paths from markdown links', async () => {
+    const targets = extractMarkdownLinks('[Setup](/Guides/Setup) [faq](faq.md#top) [x](./notes/?v=2) [y](<ops/run%20book>)');
+    ok(json(targets) === json(['guides/setup', 'faq', 'notes', 'ops/run book']), json(targets));
+  });
+
+  await test('ignores images, external URLs, anchors and code', async () => {
+    const targets = extractMarkdownLinks('![pic](/images/a.png) [web](https://x.org) [mail](mailto:a@b) [cdn](//x.org) [top](#top) `[c](/code)`');
+    ok(targets.length === 0, json(targets));
+  });
+
+  console.log('\nSuite 3: findWantedPages()');
+
+  const { index, ambiguous } = indexPages(['home', 'guides/setup', 'computers/atari', 'games/atari']);
+  const links = new Map([
+    ['home', pageLinks('[[Setup]] [[Roadmap]] [[FAQ]] [[atari]] [faq](/faq)')],
+    ['guides/setup', pageLinks('[[roadmap]] [[Roadmap#Q3]] [[home]]')],
+  ]);
+  const wanted = findWantedPages(links, index, ambiguous);
+
+  await test('lists only targets with no page', async () => {
+    ok(json(wanted.map(w => w.name)) === json(['roadmap', 'faq']), json(wanted));
+  });
+
+  await test('counts each linking page once, most wanted first', async () => {
+    ok(wanted[0].count === 2 && json(wanted[0].linkedFrom) === json(['guides/setup', 'home']), json(wanted[0]));
+  });
+
+  await test('keeps the first spelling as the title for a new page', async () => {
+    ok(wanted[0].title === 'Roadmap' && wanted[1].title === 'FAQ', json(wanted));
+  });
+
+  await test('ambiguous names are not wanted', async () => {
+    ok(!wanted.some(w => w.name === 'atari'), 'ambiguous name listed');
+  });
+
+  await test('markdown links never make a page wanted', async () => {
+    const found = findWantedPages(new Map([['home', pageLinks('[new](/brand-new)')]]), index, ambiguous);
+    ok(found.length === 0, json(found));
+  });
+
+  console.log('\nSuite 4: findOrphanPages()');
+
+  const site = indexPages(['home', 'about', 'guides/setup', 'guides/faq', 'computers/atari', 'games/atari', 'drafts/idea', 'loner']);
+  const siteLinks = new Map([
+    ['home', pageLinks('[[About]] [[atari]]')],
+    ['about', pageLinks('[Setup](/guides/setup) [[home]]')],
+    ['guides/setup', pageLinks('[[faq]]')],
+    ['guides/faq', pageLinks('[[setup]]')],
+    ['computers/atari', pageLinks('')],
+    ['games/atari', pageLinks('')],
+    ['drafts/idea', pageLinks('[[drafts/idea]] [[About]]')],
+    ['loner', pageLinks('[[home]]')],
+  ]);
+
+  await test('linkedPages resolves wikilinks, markdown links and ambiguous names', async () => {
+    const targets = [...linkedPages(pageLinks('[[About]] [[atari]] [s](/guides/setup) [[missing]]'), site.index, site.ambiguous)];
+    ok(json(targets.sort()) === json(['about', 'computers/atari', 'games/atari', 'guides/setup']), json(targets));
+  });
+
+  await test('lists pages nothing else links to, including self-linking pages', async () => {
+    const orphans = findOrphanPages(siteLinks, new Set(['home']), site.index, site.ambiguous);
+    ok(json(orphans) === json(['drafts/idea', 'loner']), json(orphans));
+  });
+
+  await test('roots are never orphans', async () => {
+    const orphans = findOrphanPages(siteLinks, new Set(['home', 'loner']), site.index, site.ambiguous);
+    ok(json(orphans) === json(['drafts/idea']), json(orphans));
+  });
+
+  await test('pages only reached through includes are not orphans', async () => {
+    const snippets = indexPages(['home', 'runbook', 'shared/oncall']);
+    const snippetLinks = new Map([
+      ['home', pageLinks('[[runbook]]')],
+      ['runbook', pageLinks('{{include:shared/oncall}}')],
+      ['shared/oncall', pageLinks('')],
+    ]);
+    const orphans = findOrphanPages(snippetLinks, new Set(['home']), snippets.index, snippets.ambiguous);
+    ok(json(orphans) === '[]', json(orphans));
+  });
+
+  console.log('\nSuite 5: linkSources()');
+
+  const wiki = indexPages(['home', 'atari', 'notes-atari-2', 'computers/c64', 'computers/amiga', 'games/amiga']);
+  const graph = createSearchIndex();
+  addToSearchIndex(graph, 'home', '[[Atari]] [[atari|the Atari]] [Atari](/atari) [[notes-atari-2]]');
+  addToSearchIndex(graph, 'computers/c64', '[[atari#History]] [C64](/c64) [[amiga]]');
+  addToSearchIndex(graph, 'notes-atari-2', '[[computers/c64]]');
+  const from = target => Object.fromEntries(linkSources(target, graph, wiki.index));
+
+  await test('counts wikilinks and markdown links from each page', async () => {
+    ok(json(from('atari')) === json({
+      home: { wikilinks: 2, mdlinks: 1 },
+      'computers/c64': { wikilinks: 1, mdlinks: 0 },
+    }), json(from('atari')));
+  });
+
+  await test('a link containing the name is not a link to the page', async () => {
+    ok(json(Object.keys(from('notes-atari-2'))) === json(['home']), json(from('notes-atari-2')));
+  });
+
+  await test('markdown links need the full path', async () => {
+    ok(json(Object.keys(from('computers/c64'))) === json(['notes-atari-2']), json(from('computers/c64')));
+  });
+
+  await test('ambiguous links are nobody\'s backlink', async () => {
+    ok(json(from('computers/amiga')) === '{}' && json(from('games/amiga')) === '{}', 'ambiguous link counted');
+  });
+
+  await test('saving a page updates its links in place', async () => {
+    addToSearchIndex(graph, 'home', '[[computers/amiga]]');
+    ok(!('home' in from('atari')) && !('home' in from('notes-atari-2')), json(from('atari')));
+    ok(json(from('computers/amiga')) === json({ home: { wikilinks: 1, mdlinks: 0 } }), json(from('computers/amiga')));
+  });
+
+  await test('links by alias are backlinks of the page', async () => {
+    const aliased = createSearchIndex();
+    addToSearchIndex(aliased, 'infra/kubernetes', '---\naliases: k8s\n---\n# Kubernetes');
+    addToSearchIndex(aliased, 'notes', '[[K8s]] and [[kubernetes]]');
+    const { index } = indexPages(['infra/kubernetes', 'notes'], new Map([['infra/kubernetes', ['k8s']]]));
+    const sources = Object.fromEntries(linkSources('infra/kubernetes', aliased, index));
+    ok(json(sources) === json({ notes: { wikilinks: 2, mdlinks: 0 } }), json(sources));
+  });
+
+  await test('pages including a page are among its backlinks', async () => {
+    const included = createSearchIndex();
+    addToSearchIndex(included, 'runbook', '{{include:shared/oncall}}');
+    const { index } = indexPages(['runbook', 'shared/oncall']);
+    const sources = Object.fromEntries(linkSources('shared/oncall', included, index));
+    ok(json(sources) === json({ runbook: { wikilinks: 1, mdlinks: 0 } }), json(sources));
+  });
+
+  await test('removing a page drops its links', async () => {
+    removeFromSearchIndex(graph, 'computers/c64');
+    ok(json(from('atari')) === '{}', json(from('atari')));
+    ok(!graph.mdlinks.has('c64'), 'empty link key kept');
+  });
+
+  console.log('\nSuite 6: rewriteLinks()');
+
+  const before = indexPages(['home', 'computers/atari', 'computers/atari/specs', 'games/atari-800', 'notes']);
+  const moves = new Map([['computers/atari', 'computers/atari-xl'], ['computers/atari/specs', 'computers/atari-xl/specs']]);
+  const rewrite = content => rewriteLinks(content, moves, before.index, before.ambiguous);
+
+  await test('renames short and full-path wikilinks, keeping sections and text', async () => {
+    const out = rewrite('[[Atari]] [[atari#Specs|the specs]] [[computers/atari]] [[ Computers/Atari | A ]]');
+    ok(out === '[[atari-xl]] [[atari-xl#Specs|the specs]] [[computers/atari-xl]] [[ computers/atari-xl | A ]]', out);
+  });
+
+  await test('moves links to pages below the renamed one', async () => {
+    const out = rewrite('[[computers/atari/specs]] [[specs]] [S](/computers/atari/specs#cpu)');
+    ok(out === '[[computers/atari-xl/specs]] [[specs]] [S](/computers/atari-xl/specs#cpu)', out);
+  });
+
+  await test('rewrites markdown links, keeping their form', async () => {
+    const out = rewrite('[a](/computers/atari) [b](computers/atari.md#x) ![pic](/computers/atari)');
+    ok(out === '[a](/computers/atari-xl) [b](computers/atari-xl.md#x) ![pic](/computers/atari)', out);
+  });
+
+  await test('leaves similar names, other pages and code alone', async () => {
+    const content = '[[atari-800]] [[notes-atari]] [[notes]] `[[atari]]`\n\n```\n[[atari]]\n```\n';
+    ok(rewrite(content) === content, rewrite(content));
+  });
+
+  await test('falls back to the full path when the new short name is taken', async () => {
+    const out = rewriteLinks('[[atari]]', new Map([['computers/atari', 'computers/atari-800']]), before.index, before.ambiguous);
+    ok(out === '[[computers/atari-800]]', out);
+  });
+
+  await test('rewrites include targets like wikilinks', async () => {
+    const out = rewrite('{{include:computers/atari#Specs}} {{include: Atari }} {{include:notes}} `{{include:atari}}`');
+    ok(out === '{{include:computers/atari-xl#Specs}} {{include: atari-xl }} {{include:notes}} `{{include:atari}}`', out);
+  });
+
+  await test('leaves links by alias alone, as the alias moves with the page', async () => {
+    const aliased = indexPages(['computers/atari'], new Map([['computers/atari', ['vcs']]]));
+    const out = rewriteLinks('[[vcs]] [[atari]]', new Map([['computers/atari', 'consoles/atari-2600']]), aliased.index, aliased.ambiguous);
+    ok(out === '[[vcs]] [[atari-2600]]', out);
+  });
+
+  console.log('\nSuite 7: linkGraph() and graphNeighborhood()');
+
+  const chain = indexPages(['a', 'b', 'c', 'd', 'e', 'lone']);
+  const chainGraph = linkGraph(new Map([
+    ['a', pageLinks('[[b]] [[b#x]] [[a]] [[missing]]')],
+    ['b', pageLinks('[C](/c)')],
+    ['c', pageLinks('[[d]] [[b]]')],
+    ['d', pageLinks('[[e]]')],
+    ['e', pageLinks('')],
+    ['lone', pageLinks('')],
+  ]), chain.index);
+  const edgeList = g => g.edges.map(e => `${e.source}>${e.target}`).sort().join(' ');
+
+  await test('has a node per page and an edge per linked pair and direction', async () => {
+    ok(json(chainGraph.nodes) === json(['a', 'b', 'c', 'd', 'e', 'lone']), json(chainGraph.nodes));
+    ok(edgeList(chainGraph) === 'a>b b>c c>b c>d d>e', edgeList(chainGraph));
+  });
+
+  await test('a neighborhood follows links both ways for the given hops', async () => {
+    const one = graphNeighborhood(chainGraph, 'c', 1);
+    ok(json(one.nodes) === json(['b', 'c', 'd']), json(one.nodes));
+    ok(edgeList(one) === 'b>c c>b c>d', edgeList(one));
+    ok(json(graphNeighborhood(chainGraph, 'c', 2).nodes) === json(['a', 'b', 'c', 'd', 'e']), 'two hops');
+  });
+
+  await test('a page without links is a neighborhood of one', async () => {
+    const alone = graphNeighborhood(chainGraph, 'lone', 3);
+    ok(json(alone.nodes) === json(['lone']) && alone.edges.length === 0, json(alone));
+  });
+
+  // ─── Summary ───────────────────────────────────────────────────────────────
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
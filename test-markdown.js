@@ -0,0 +1,227 @@
+/**
+ * Unit tests for markdown rendering
+ *
+ * Covers heading anchor ids (slugs, de-duplication, surviving sanitize()),
+ * the {{toc}} table of contents built from them, wikilink parsing
+ * including links to sections, and how page names and aliases resolve to
+ * pages.
+ *
+ * Run:  node test-markdown.js
+ */
+
+'use strict';
+
+const {
+  slugify, createSlugger, extractHeadings, renderMarkdown, sanitize, parseWikilink, processWikilinks,
+  indexPages,
+} = require('./server.js');
+
+// ─── Test harness ──────────────────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓  ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  ✗  ${name}`);
+    console.log(`       ${err.message}`);
+    failed++;
+  }
+}
+
+function ok(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+const render = markdown => sanitize(renderMarkdown(markdown));
+
+// ─── Tests ─────────────────────────────────────────────────────────────────
+(async () => {
+  console.log('\n── markdown rendering unit tests ──\n');
+
+  console.log('Suite 1: heading anchors');
+
+  await test('slugify lowercases, drops punctuation and hyphenates spaces', async () => {
+    ok(slugify('Setup & Install (v2)') === 'setup-install-v2', slugify('Setup & Install (v2)'));
+    ok(slugify('Café Menü') === 'café-menü', slugify('Café Menü'));
+    ok(slugify('!!!') === 'section', slugify('!!!'));
+  });
+
+  await test('headings carry ids that survive sanitize()', async () => {
+    const html = render('## Roll Back\n');
+    ok(html.includes('<h2 id="user-content-roll-back">'), html);
+  });
+
+  await test('heading ids cannot clash with the app\'s element ids', async () => {
+    for (const html of [render('# Editor\n'), render('<h2 id="editor">x</h2>\n')]) {
+      ok(html.includes('id="user-content-editor"') && !html.includes('id="editor"'), html);
+    }
+  });
+
+  await test('sanitize() keeps an id that already has the prefix', async () => {
+    const html = sanitize(render('## Roll Back\n'));
+    ok(html.includes('<h2 id="user-content-roll-back">'), html);
+  });
+
+  await test('repeated headings get numbered ids', async () => {
+    const ids = extractHeadings('## Notes\n\n## Notes\n\n## Notes\n').map(h => h.id);
+    ok(ids.join() === 'notes,notes-1,notes-2', ids.join());
+  });
+
+  await test('a page body and its footer never share an id', async () => {
+    const slug = createSlugger();
+    const body = sanitize(renderMarkdown('## Notes\n', slug));
+    const footer = sanitize(renderMarkdown('## Notes\n', slug));
+    ok(body.includes('id="user-content-notes"'), body);
+    ok(footer.includes('id="user-content-notes-1"'), footer);
+  });
+
+  await test('ids use the visible text of links and formatting', async () => {
+    const [heading] = extractHeadings('## See <a href="/x" class="wikilink">Deploy &amp; Ship</a> **now**\n');
+    ok(heading.text === 'See Deploy & Ship now', heading.text);
+    ok(heading.id === 'see-deploy-ship-now', heading.id);
+  });
+
+  await test('raw HTML ids that are not slugs are stripped', async () => {
+    const html = render('<h2 id="searchInput">x</h2>\n');
+    ok(!html.includes('searchInput'), html);
+  });
+
+  console.log('\nSuite 2: {{toc}}');
+
+  const page = '# Runbook\n\n{{toc}}\n\n## Prepare\n\n### Backups\n\n## Deploy\n\n#### Smoke test\n';
+
+  await test('expands to links to every section', async () => {
+    const html = render(page);
+    for (const id of ['prepare', 'backups', 'deploy', 'smoke-test']) {
+      ok(html.includes(`<a href="#${id}">`), `missing link to #${id}: ${html}`);
+    }
+    ok(!html.includes('{{toc}}'), 'placeholder left in output');
+  });
+
+  await test('nests sub-sections and leaves out the page title', async () => {
+    const html = render(page);
+    const toc = (html.match(/<div class="toc">[\s\S]*?<\/ul><\/div>/) || [''])[0];
+    ok(!toc.includes('#runbook'), `title listed: ${toc}`);
+    ok(toc.includes('<li><a href="#prepare">Prepare</a><ul><li><a href="#backups">Backups</a></li></ul></li>'), toc);
+  });
+
+  await test('skipped heading levels still produce balanced lists', async () => {
+    const html = render(page);
+    const opens = (html.match(/<ul>/g) || []).length;
+    const closes = (html.match(/<\/ul>/g) || []).length;
+    // h2 > h4 nests one level under Deploy: top list + Backups + Smoke test
+    ok(opens === closes && opens === 3, `${opens} <ul> vs ${closes} </ul>`);
+  });
+
+  await test('is removed when the page has no sections', async () => {
+    const html = render('# Only a title\n\n{{toc}}\n');
+    ok(!html.includes('toc') && !html.includes('{{'), html);
+  });
+
+  await test('is left alone inside code', async () => {
+    const html = render('## A\n\n`{{toc}}`\n');
+    ok(html.includes('<code>{{toc}}</code>'), html);
+  });
+
+  console.log('\nSuite 3: wikilinks');
+
+  await test('parses page, heading and display text', async () => {
+    const link = parseWikilink(' Deploy Guide#Roll Back | undo it ');
+    ok(link.page === 'deploy-guide' && link.heading === 'Roll Back' && link.text === 'undo it', JSON.stringify(link));
+  });
+
+  await test('plain links keep their text and have no heading', async () => {
+    const link = parseWikilink('Atari');
+    ok(link.page === 'atari' && link.heading === null && link.text === 'Atari', JSON.stringify(link));
+  });
+
+  await test('section links without text show page and heading', async () => {
+    ok(parseWikilink('deploy#Rollback').text === 'deploy › Rollback', parseWikilink('deploy#Rollback').text);
+    ok(parseWikilink('#Rollback').text === 'Rollback', parseWikilink('#Rollback').text);
+  });
+
+  await test('same-page section links have an empty page', async () => {
+    const link = parseWikilink('#Roll Back');
+    ok(link.page === '' && link.heading === 'Roll Back', JSON.stringify(link));
+  });
+
+  await test('section links point at the heading anchor', async () => {
+    const html = sanitize(await processWikilinks('[[deploy#Roll Back|undo]]', 'home'));
+    ok(html.includes('href="/deploy#roll-back"'), html);
+    ok(html.includes('data-anchor="roll-back"'), html);
+    ok(html.includes('>undo</a>'), html);
+  });
+
+  await test('the anchor matches the id of the rendered heading', async () => {
+    const [heading] = extractHeadings('## Roll Back (v2)\n');
+    const html = await processWikilinks('[[deploy#Roll Back (v2)]]', 'home');
+    ok(html.includes(`data-anchor="${heading.id}"`), `${heading.id} vs ${html}`);
+  });
+
+  await test('same-page section links target the current page', async () => {
+    const html = await processWikilinks('[[#Setup]]', 'guides/runbook');
+    ok(html.includes('data-page="guides/runbook"') && html.includes('#setup"'), html);
+  });
+
+  await test('plain links carry no anchor', async () => {
+    const html = await processWikilinks('[[deploy]]', 'home');
+    ok(!html.includes('data-anchor') && html.includes('href="/deploy"'), html);
+  });
+
+  console.log('\nSuite 4: page index');
+
+  await test('pages are found by full path and by unique short name', async () => {
+    const { index } = indexPages(['computers/atari', 'Guides/Setup']);
+    ok(index['computers/atari'] === 'computers/atari' && index.atari === 'computers/atari', JSON.stringify(index));
+    ok(index.setup === 'Guides/Setup' && index['guides/setup'] === 'Guides/Setup', JSON.stringify(index));
+  });
+
+  await test('a short name shared by several pages is ambiguous', async () => {
+    const { index, ambiguous } = indexPages(['games/atari', 'computers/atari', 'home']);
+    ok(!('atari' in index), `resolved to ${index.atari}`);
+    ok(JSON.stringify(ambiguous.atari) === JSON.stringify(['computers/atari', 'games/atari']), JSON.stringify(ambiguous));
+    ok(!('home' in ambiguous), 'unique name listed as ambiguous');
+  });
+
+  await test('a top-level page wins over nested pages of the same name', async () => {
+    const { index, ambiguous } = indexPages(['games/atari', 'atari', 'computers/atari']);
+    ok(index.atari === 'atari' && !('atari' in ambiguous), JSON.stringify({ index, ambiguous }));
+  });
+
+  await test('aliases resolve to the page declaring them', async () => {
+    const { index } = indexPages(['infrastructure/kubernetes'], new Map([['infrastructure/kubernetes', ['k8s', 'kube']]]));
+    ok(index.k8s === 'infrastructure/kubernetes' && index.kube === 'infrastructure/kubernetes', JSON.stringify(index));
+  });
+
+  await test('page paths and names win over aliases', async () => {
+    const aliases = new Map([['computers/atari', ['home', 'c64']]]);
+    const { index, ambiguous } = indexPages(['home', 'computers/atari', 'computers/c64'], aliases);
+    ok(index.home === 'home' && index.c64 === 'computers/c64', JSON.stringify(index));
+    ok(!('c64' in ambiguous), JSON.stringify(ambiguous));
+  });
+
+  await test('an alias declared by several pages is ambiguous', async () => {
+    const aliases = new Map([['games/pong', ['classic']], ['games/tetris', ['classic']]]);
+    const { index, ambiguous } = indexPages(['games/pong', 'games/tetris'], aliases);
+    ok(!('classic' in index), `resolved to ${index.classic}`);
+    ok(JSON.stringify(ambiguous.classic) === JSON.stringify(['games/pong', 'games/tetris']), JSON.stringify(ambiguous));
+  });
+
+  await test('aliases of pages not in the list are ignored', async () => {
+    const { index } = indexPages(['home'], new Map([['deleted', ['gone']]]));
+    ok(!('gone' in index), 'stale alias resolved');
+  });
+
+  await test('object property names are not page names', async () => {
+    const { index } = indexPages(['home']);
+    ok(index.constructor === undefined && index.__proto__ === undefined, 'inherited property resolved');
+  });
+
+  // ─── Summary ───────────────────────────────────────────────────────────────
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
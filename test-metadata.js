@@ -0,0 +1,214 @@
+/**
+ * Unit tests for page metadata
+ *
+ * Covers YAML front matter parsing, how it is separated from the page body
+ * (and from the footer split), titles taken from metadata, tags and aliases.
+ *
+ * Run:  node test-metadata.js
+ */
+
+'use strict';
+
+const {
+  parseFrontMatter, pageTitle, createSearchIndex, addToSearchIndex, searchPages,
+  normalizeTag, extractTags, listTags, pagesWithTag, parseAliases,
+} = require('./server.js');
+
+// ─── Test harness ──────────────────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓  ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  ✗  ${name}`);
+    console.log(`       ${err.message}`);
+    failed++;
+  }
+}
+
+function ok(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+const json = value => JSON.stringify(value);
+
+// ─── Tests ─────────────────────────────────────────────────────────────────
+(async () => {
+  console.log('\n── page metadata unit tests ──\n');
+
+  console.log('Suite 1: parseFrontMatter()');
+
+  await test('parses scalars of each type', async () => {
+    const { meta } = parseFrontMatter('---\ntitle: Notes\ncount: 3\ndraft: false\nowner: ~\n---\nBody');
+    ok(json(meta) === json({ title: 'Notes', count: 3, draft: false, owner: null }), json(meta));
+  });
+
+  await test('unquotes strings and keeps colons inside quotes', async () => {
+    const { meta } = parseFrontMatter('---\ntitle: "Re: \\"Plans\\""\nnote: \'it\'\'s\'\n---\n');
+    ok(meta.title === 'Re: "Plans"', meta.title);
+    ok(meta.note === "it's", meta.note);
+  });
+
+  await test('parses inline and block lists', async () => {
+    const { meta } = parseFrontMatter('---\ntags: [alpha, "beta, gamma"]\naliases:\n  - one\n  - two\n---\n');
+    ok(json(meta.tags) === json(['alpha', 'beta, gamma']), json(meta.tags));
+    ok(json(meta.aliases) === json(['one', 'two']), json(meta.aliases));
+  });
+
+  await test('parses folded and literal block text', async () => {
+    const { meta } = parseFrontMatter('---\ndescription: >\n  one\n  two\nbody: |\n  line 1\n  line 2\n---\n');
+    ok(meta.description === 'one two', json(meta.description));
+    ok(meta.body === 'line 1\nline 2', json(meta.body));
+  });
+
+  await test('drops comments', async () => {
+    const { meta } = parseFrontMatter('---\n# a comment\nauthor: Ada # inline\n---\n');
+    ok(json(meta) === json({ author: 'Ada' }), json(meta));
+  });
+
+  await test('returns the body without the front matter', async () => {
+    const { body } = parseFrontMatter('---\ntitle: X\n---\n# Heading\n');
+    ok(body === '# Heading\n', json(body));
+  });
+
+  await test('leaves the footer separator in the body', async () => {
+    const { body } = parseFrontMatter('---\ntitle: X\n---\nMain\n---\nFooter');
+    const parts = body.split(/\n---+\n/);
+    ok(parts.length === 2 && parts[0] === 'Main' && parts[1] === 'Footer', json(parts));
+  });
+
+  await test('pages without front matter are untouched', async () => {
+    const content = '# Heading\n\nText\n---\nFooter';
+    const { meta, body } = parseFrontMatter(content);
+    ok(json(meta) === '{}' && body === content, json({ meta, body }));
+  });
+
+  await test('a leading horizontal rule is not front matter', async () => {
+    const content = '---\nJust some text\n---\nMore';
+    const { meta, body } = parseFrontMatter(content);
+    ok(json(meta) === '{}' && body === content, json({ meta, body }));
+  });
+
+  await test('a heading between two rules is not front matter', async () => {
+    for (const content of ['---\n# Release notes\n---\nBody text\n', '---\n---\nBody text\n']) {
+      const { meta, body } = parseFrontMatter(content);
+      ok(json(meta) === '{}' && body === content, json({ meta, body }));
+    }
+  });
+
+  await test('front matter must start on the first line', async () => {
+    const content = '\n---\ntitle: X\n---\n';
+    ok(parseFrontMatter(content).body === content, 'front matter after a blank line was parsed');
+  });
+
+  await test('ignores a __proto__ key', async () => {
+    const { meta } = parseFrontMatter('---\n__proto__: polluted\ntitle: X\n---\n');
+    ok(Object.getPrototypeOf(meta) === Object.prototype && meta.title === 'X', 'prototype changed');
+  });
+
+  console.log('\nSuite 2: titles');
+
+  await test('front matter title wins over the heading', async () => {
+    const title = pageTitle('notes/plan', '---\ntitle: Launch Plan\n---\n# Draft\n');
+    ok(title === 'Launch Plan', title);
+  });
+
+  await test('falls back to the first heading after the front matter', async () => {
+    const title = pageTitle('notes/plan', '---\ntags: [x]\n---\n# Draft\n');
+    ok(title === 'Draft', title);
+  });
+
+  await test('search results use the metadata title and skip front matter text', async () => {
+    const index = createSearchIndex();
+    addToSearchIndex(index, 'plan', '---\ntitle: Launch Plan\nowner: zebra\n---\nRocket schedule.');
+    const [result] = searchPages(index, 'rocket');
+    ok(result && result.title === 'Launch Plan', json(result));
+    ok(searchPages(index, 'zebra').length === 0, 'front matter values were indexed as body text');
+  });
+
+  console.log('\nSuite 3: tags');
+
+  await test('collects front matter and inline tags, lowercased and sorted', async () => {
+    const tags = extractTags('---\ntags: [Planning, q3]\n---\nShip it #Urgent, see #planning.');
+    ok(json(tags) === json(['planning', 'q3', 'urgent']), json(tags));
+  });
+
+  await test('accepts a comma-separated tags string', async () => {
+    ok(json(extractTags('---\ntags: alpha, beta\n---\n')) === json(['alpha', 'beta']), 'string tags not split');
+  });
+
+  await test('ignores headings, numbers, anchors and code', async () => {
+    const tags = extractTags('# Heading\nIssue #42, [[Page#Section]], a.com/#x, `#inline`\n\n```\n#include\n```\n');
+    ok(tags.length === 0, json(tags));
+  });
+
+  await test('ignores anchor links, HTML attributes and code spans', async () => {
+    const tags = extractTags('See [below](#rollback-steps) and <span style="color: #fff">x</span> (#aside) `x #code`\n\n#real');
+    ok(json(tags) === json(['real']), json(tags));
+  });
+
+  await test('keeps nested tags and trims trailing separators', async () => {
+    ok(json(extractTags('see #projects/alpha/')) === json(['projects/alpha']), json(extractTags('see #projects/alpha/')));
+    ok(normalizeTag('#Draft-') === 'draft', normalizeTag('#Draft-'));
+    ok(normalizeTag('two words') === null, 'spaces accepted');
+  });
+
+  const tagged = createSearchIndex();
+  addToSearchIndex(tagged, 'a', '# Alpha\n#urgent #ops');
+  addToSearchIndex(tagged, 'b', '# Beta\n#urgent');
+  addToSearchIndex(tagged, 'secret', '# Secret\n#urgent #hidden');
+
+  await test('listTags counts pages per tag, most used first', async () => {
+    const tags = listTags(tagged);
+    ok(json(tags[0]) === json({ tag: 'urgent', count: 3 }), json(tags));
+    ok(tags.length === 3, json(tags));
+  });
+
+  await test('pagesWithTag lists matching pages by title', async () => {
+    const pages = pagesWithTag(tagged, '#Urgent').map(p => p.title);
+    ok(json(pages) === json(['Alpha', 'Beta', 'Secret']), json(pages));
+  });
+
+  await test('hidden pages are left out of counts and listings', async () => {
+    const hidden = new Set(['secret']);
+    ok(!listTags(tagged, hidden).some(t => t.tag === 'hidden'), 'hidden page tag listed');
+    ok(pagesWithTag(tagged, 'urgent', hidden).length === 2, 'hidden page listed');
+  });
+
+  await test('re-indexing a page updates its tags', async () => {
+    addToSearchIndex(tagged, 'b', '# Beta\nno tags now');
+    ok(pagesWithTag(tagged, 'urgent').length === 2, 'stale tag kept');
+  });
+
+  console.log('\nSuite 4: aliases');
+
+  await test('accepts a list or a comma-separated string', async () => {
+    ok(json(parseAliases(parseFrontMatter('---\naliases: k8s, Kube\n---\n').meta)) === json(['k8s', 'kube']), 'string aliases not split');
+    ok(json(parseAliases(parseFrontMatter('---\naliases: [k8s, 2600]\n---\n').meta)) === json(['2600', 'k8s']), 'list aliases not read');
+  });
+
+  await test('aliases are normalized like wikilink targets', async () => {
+    const aliases = parseAliases({ aliases: ['Kube Ctl', ' k8s ', 'K8S'] });
+    ok(json(aliases) === json(['k8s', 'kube-ctl']), json(aliases));
+  });
+
+  await test('paths, sections and empty entries are dropped', async () => {
+    ok(json(parseAliases({ aliases: 'ops/k8s, k8s#setup, , k8s' })) === json(['k8s']), json(parseAliases({ aliases: 'ops/k8s, k8s#setup, , k8s' })));
+    ok(json(parseAliases({ aliases: [null, { a: 1 }] })) === '[]', 'non-string aliases kept');
+    ok(json(parseAliases({})) === '[]', 'aliases made up');
+  });
+
+  await test('the search index keeps each page\'s aliases', async () => {
+    const index = createSearchIndex();
+    addToSearchIndex(index, 'infra/kubernetes', '---\naliases: k8s\n---\n# Kubernetes');
+    ok(json(index.docs.get('infra/kubernetes').aliases) === json(['k8s']), json(index.docs.get('infra/kubernetes')));
+  });
+
+  // ─── Summary ───────────────────────────────────────────────────────────────
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
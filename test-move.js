@@ -0,0 +1,228 @@
+/**
+ * Unit tests for moving pages
+ *
+ * Builds a throwaway wiki (pointed to with --home before server.js loads)
+ * and checks which moves (and which paths for saved or created pages) are
+ * refused, that a dry run previews the link rewrites without writing,
+ * that a page moves with the pages below it,
+ * that links to any of them are rewritten, that the search index
+ * follows, that protected pages stay protected, and how redirects left at
+ * old paths are kept up to date.
+ *
+ * Run:  node test-move.js
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const os   = require('os');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'massivewiki-move-'));
+process.argv.push('--home', home);
+
+const {
+  checkPagePath, checkPageMove, movePage, previewPageMove, buildPageIndex, buildSearchIndex,
+  updateRedirects, resolveRedirect, updateProtectedPages, editProtectedPages,
+} = require('./server.js');
+
+// ─── Test harness ──────────────────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓  ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  ✗  ${name}`);
+    console.log(`       ${err.message}`);
+    failed++;
+  }
+}
+
+function ok(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+const pagesDir = path.join(home, 'pages');
+
+function writePage(pagePath, content) {
+  const file = path.join(pagesDir, pagePath + '.md');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+const readPage = pagePath => fs.readFileSync(path.join(pagesDir, pagePath + '.md'), 'utf-8');
+const exists = relPath => fs.existsSync(path.join(pagesDir, relPath));
+
+// ─── Tests ─────────────────────────────────────────────────────────────────
+(async () => {
+  console.log('\n── page move unit tests ──\n');
+
+  writePage('home', '# Home\n\nStart at [[setup]].');
+  writePage('guides/setup', '# Setup\n\nSee [[linux]].');
+  writePage('guides/setup/linux', '# Linux\n\nBack to [[guides/setup#Prepare|setup]].');
+  writePage('notes', 'Read [the guide](/guides/setup/linux) and `[[setup]]`.');
+  writePage('archive/old', '# Old');
+  fs.mkdirSync(path.join(pagesDir, 'archive', 'old'));
+  writePage('archive/old/child', '# Child');
+
+  try {
+    await buildPageIndex();
+    const index = await buildSearchIndex();
+
+    console.log('Suite 1: checkPageMove() and checkPagePath()');
+
+    await test('refuses to move a page inside itself', async () => {
+      const error = await checkPageMove('guides/setup', 'guides/setup/linux/deeper');
+      ok(error && error.status === 400 && /inside itself/.test(error.error), JSON.stringify(error));
+    });
+
+    await test('refuses to overwrite an existing page', async () => {
+      const error = await checkPageMove('notes', 'archive/old');
+      ok(error && error.status === 400 && /already exists/.test(error.error), JSON.stringify(error));
+    });
+
+    await test('refuses to merge child pages into an existing folder', async () => {
+      writePage('elsewhere/placeholder', '# Placeholder');
+      fs.mkdirSync(path.join(pagesDir, 'elsewhere', 'setup'));
+      const error = await checkPageMove('guides/setup', 'elsewhere/setup');
+      fs.rmSync(path.join(pagesDir, 'elsewhere'), { recursive: true });
+      ok(error && error.status === 400 && /folder/.test(error.error), JSON.stringify(error));
+    });
+
+    await test('reports missing pages and paths outside the wiki', async () => {
+      ok((await checkPageMove('nope', 'elsewhere')).status === 404, 'missing page accepted');
+      ok((await checkPageMove('notes', '../outside')).status === 400, 'path outside the wiki accepted');
+    });
+
+    await test('refuses the paths of the generated views', async () => {
+      for (const reserved of ['_tags', '_Reports', '_graph/notes']) {
+        const error = await checkPageMove('notes', reserved);
+        ok(error && error.status === 400 && /reserved/.test(error.error), `${reserved}: ${JSON.stringify(error)}`);
+      }
+      ok(await checkPageMove('notes', 'tags') === null, 'plain "tags" refused');
+    });
+
+    await test('saves and creates refuse the paths of the generated views', async () => {
+      for (const reserved of ['_tags/x', '_reports/x', '_graph']) {
+        const error = checkPagePath(reserved);
+        ok(error && error.status === 400 && /reserved/.test(error.error), `${reserved}: ${JSON.stringify(error)}`);
+      }
+      ok(checkPagePath('../outside').error === 'Invalid page path', 'path outside the wiki accepted');
+      ok(checkPagePath('tags') === null && checkPagePath('notes/_tags') === null, 'ordinary path refused');
+    });
+
+    await test('accepts a move to a new folder', async () => {
+      ok(await checkPageMove('guides/setup', 'manual/install/setup') === null, 'move refused');
+    });
+
+    console.log('\nSuite 2: previewPageMove()');
+
+    const notesBefore = readPage('notes');
+    const preview = await previewPageMove('guides/setup', 'manual/install/setup', index);
+
+    await test('lists the pages that would move', async () => {
+      const moved = preview.moved.map(m => `${m.from}>${m.to}`).join();
+      ok(moved === 'guides/setup>manual/install/setup,guides/setup/linux>manual/install/setup/linux', moved);
+    });
+
+    await test('diffs each page whose links would change, by its new path', async () => {
+      ok(preview.changes.map(c => c.path).join() === 'manual/install/setup/linux,notes', preview.changes.map(c => c.path).join());
+      const notes = preview.changes[1].diff.lines.filter(l => l.type !== 'equal').map(l => l.text);
+      ok(notes.length === 2 && notes[1] === 'Read [the guide](/manual/install/setup/linux) and `[[setup]]`.', JSON.stringify(notes));
+    });
+
+    await test('writes nothing', async () => {
+      ok(exists('guides/setup.md') && !exists('manual'), 'files moved');
+      ok(readPage('notes') === notesBefore, 'links rewritten');
+      ok(index.docs.has('guides/setup'), 'index changed');
+    });
+
+    console.log('\nSuite 3: movePage()');
+
+    const updated = await movePage('guides/setup', 'manual/install/setup', index);
+
+    await test('moves the page and the pages below it', async () => {
+      ok(exists('manual/install/setup.md') && exists('manual/install/setup/linux.md'), 'pages not moved');
+      ok(!exists('guides/setup.md') && !exists('guides/setup'), 'old files left behind');
+    });
+
+    await test('removes folders left empty', async () => {
+      ok(!exists('guides'), 'empty guides folder left behind');
+      ok(exists('archive'), 'untouched folder removed');
+    });
+
+    await test('rewrites links to the moved pages, keeping sections and text', async () => {
+      ok(readPage('home') === '# Home\n\nStart at [[setup]].', readPage('home'));
+      ok(readPage('manual/install/setup/linux').includes('[[manual/install/setup#Prepare|setup]]'), readPage('manual/install/setup/linux'));
+      ok(readPage('notes') === 'Read [the guide](/manual/install/setup/linux) and `[[setup]]`.', readPage('notes'));
+    });
+
+    await test('returns the updated pages by their new paths', async () => {
+      ok(JSON.stringify(updated) === JSON.stringify(['manual/install/setup/linux', 'notes']), JSON.stringify(updated));
+    });
+
+    await test('re-indexes the moved pages under their new paths', async () => {
+      ok(index.docs.has('manual/install/setup/linux') && !index.docs.has('guides/setup/linux'), [...index.docs.keys()].join());
+    });
+
+    await test('rewrites includes of the moved page', async () => {
+      writePage('shared/oncall', '## Rota\n\nAda');
+      writePage('runbook', '{{include:shared/oncall#Rota}}');
+      await buildPageIndex();
+      const rebuilt = await buildSearchIndex();
+      await movePage('shared/oncall', 'ops/oncall', rebuilt);
+      ok(readPage('runbook') === '{{include:ops/oncall#Rota}}', readPage('runbook'));
+    });
+
+    await test('protectedPages in the config follow the moved pages', async () => {
+      const configFile = path.join(home, '_wiki', '_config.json');
+      fs.mkdirSync(path.dirname(configFile), { recursive: true });
+      fs.writeFileSync(configFile, JSON.stringify({ wikiName: 'Test', protectedPages: ['guides/setup/linux', 'notes'] }));
+      const moves = new Map([['guides/setup', 'manual/install/setup'], ['guides/setup/linux', 'manual/install/setup/linux']]);
+      ok(await editProtectedPages(list => updateProtectedPages(list, moves)) === true, 'config not changed');
+      const config = JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+      ok(config.protectedPages.join() === 'manual/install/setup/linux,notes' && config.wikiName === 'Test', JSON.stringify(config));
+      ok(await editProtectedPages(list => updateProtectedPages(list, moves)) === false, 'unchanged config rewritten');
+      const merged = updateProtectedPages(['guides/setup', 'manual/install/setup'], moves);
+      ok(merged.join() === 'manual/install/setup', merged.join());
+    });
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+
+  console.log('\nSuite 4: redirects');
+
+  const moves = new Map([['guides/setup', 'manual/setup'], ['guides/setup/linux', 'manual/setup/linux']]);
+
+  await test('each moved page leaves a redirect when asked', async () => {
+    const redirects = updateRedirects({}, moves, true);
+    ok(JSON.stringify(redirects) === JSON.stringify({ 'guides/setup': 'manual/setup', 'guides/setup/linux': 'manual/setup/linux' }), JSON.stringify(redirects));
+    ok(JSON.stringify(updateRedirects({}, moves, false)) === '{}', 'redirect left without asking');
+  });
+
+  await test('redirects to a moved page follow it, even without a new redirect', async () => {
+    const redirects = updateRedirects({ setup: 'guides/setup' }, moves, false);
+    ok(redirects.setup === 'manual/setup', JSON.stringify(redirects));
+  });
+
+  await test('redirects where a page now lives, or back to themselves, are dropped', async () => {
+    const back = new Map([['manual/setup', 'guides/setup']]);
+    const redirects = updateRedirects({ 'guides/setup': 'manual/setup' }, back, true);
+    ok(JSON.stringify(redirects) === JSON.stringify({ 'manual/setup': 'guides/setup' }), JSON.stringify(redirects));
+  });
+
+  await test('resolveRedirect follows chains and gives up on loops', async () => {
+    ok(resolveRedirect({ a: 'b', b: 'c' }, 'a') === 'c', resolveRedirect({ a: 'b', b: 'c' }, 'a'));
+    ok(resolveRedirect({ a: 'b', b: 'a' }, 'a') === null, 'loop resolved');
+    ok(resolveRedirect({ a: 'b' }, 'c') === null, 'unknown path resolved');
+    ok(resolveRedirect({}, 'constructor') === null, 'inherited property resolved');
+  });
+
+  // ─── Summary ───────────────────────────────────────────────────────────────
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
@@ -0,0 +1,181 @@
+/**
+ * Unit tests for the full-text search index
+ *
+ * Covers tokenizing, indexing and removal, ranking, prefix matching,
+ * leaving out hidden (protected) pages, snippet highlighting, and building
+ * the index from a pages directory.
+ *
+ * Run:  node test-search.js
+ */
+
+'use strict';
+
+const fs     = require('fs').promises;
+const path   = require('path');
+const os     = require('os');
+
+const {
+  tokenize, markdownToPlainText, createSearchIndex, addToSearchIndex,
+  removeFromSearchIndex, searchPages, buildSearchIndex,
+} = require('./server.js');
+
+// ─── Test harness ──────────────────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓  ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  ✗  ${name}`);
+    console.log(`       ${err.message}`);
+    failed++;
+  }
+}
+
+function ok(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+// ─── Tests ─────────────────────────────────────────────────────────────────
+(async () => {
+  console.log('\n── search index unit tests ──\n');
+
+  console.log('Suite 1: text helpers');
+
+  await test('tokenize lowercases and splits on punctuation', async () => {
+    const tokens = tokenize('Atari 800XL: the best-selling computer!');
+    ok(JSON.stringify(tokens) === JSON.stringify(['atari', '800xl', 'the', 'best', 'selling', 'computer']),
+      `Unexpected tokens: ${tokens.join(',')}`);
+  });
+
+  await test('markdownToPlainText keeps wikilink display text and drops markup', async () => {
+    const text = markdownToPlainText('## Intro\n\nSee [[computers/atari|the Atari]] and **[docs](http://x.y)**.');
+    ok(text === 'Intro See the Atari and docs.', `Got: "${text}"`);
+  });
+
+  console.log('\nSuite 2: ranking and matching');
+
+  const index = createSearchIndex();
+  addToSearchIndex(index, 'computers/atari', '# Atari\n\nThe Atari 800 is an 8-bit home computer.');
+  addToSearchIndex(index, 'computers/commodore', '# Commodore 64\n\nOutsold the Atari line by a wide margin.');
+  addToSearchIndex(index, 'recipes/bread', '# Bread\n\nFlour, water, salt and a hot oven.');
+
+  await test('title match ranks above a passing mention', async () => {
+    const results = searchPages(index, 'atari');
+    ok(results.length === 2, `Expected 2 results, got ${results.length}`);
+    ok(results[0].path === 'computers/atari', `Expected atari first, got ${results[0].path}`);
+  });
+
+  await test('all query words must match', async () => {
+    const results = searchPages(index, 'atari oven');
+    ok(results.length === 0, `Expected no results, got ${results.length}`);
+  });
+
+  await test('last word matches as a prefix', async () => {
+    const results = searchPages(index, 'comm');
+    ok(results.some(r => r.path === 'computers/commodore'), 'commodore should match "comm"');
+  });
+
+  await test('path segments are searchable', async () => {
+    const results = searchPages(index, 'recipes');
+    ok(results.length === 1 && results[0].path === 'recipes/bread', 'recipes/bread should match its folder name');
+  });
+
+  await test('results carry the page title', async () => {
+    const results = searchPages(index, 'commodore');
+    ok(results[0].title === 'Commodore 64', `Got title "${results[0].title}"`);
+  });
+
+  await test('empty query returns nothing', async () => {
+    ok(searchPages(index, '   ').length === 0, 'Expected no results');
+  });
+
+  await test('limit caps the number of results', async () => {
+    ok(searchPages(index, 'the', 1).length === 1, 'Expected exactly one result');
+  });
+
+  await test('hidden pages are left out before the limit applies', async () => {
+    const results = searchPages(index, 'atari', 1, new Set(['computers/atari']));
+    ok(results.length === 1 && results[0].path === 'computers/commodore',
+      `Got ${results.map(r => r.path).join(',')}`);
+  });
+
+  console.log('\nSuite 3: snippets');
+
+  await test('snippet wraps hits in <mark>', async () => {
+    const [result] = searchPages(index, 'oven');
+    ok(result.snippet.includes('<mark>oven</mark>'), `Got: ${result.snippet}`);
+  });
+
+  await test('snippet escapes page HTML', async () => {
+    const idx = createSearchIndex();
+    addToSearchIndex(idx, 'xss', 'Beware of a <b>"quoted" & risky</b> script tag');
+    const [result] = searchPages(idx, 'quoted');
+    ok(!result.snippet.includes('"quoted"'), `Quotes not escaped: ${result.snippet}`);
+    ok(result.snippet.includes('&amp;'), `Ampersand not escaped: ${result.snippet}`);
+  });
+
+  await test('snippet only highlights at word starts', async () => {
+    const idx = createSearchIndex();
+    addToSearchIndex(idx, 'art', 'Start with the art of waiting.');
+    const [result] = searchPages(idx, 'art');
+    ok(!result.snippet.includes('St<mark>'), `Mid-word hit highlighted: ${result.snippet}`);
+    ok(result.snippet.includes('<mark>art</mark>'), `Word hit missing: ${result.snippet}`);
+  });
+
+  await test('long pages are excerpted around the first hit', async () => {
+    const idx = createSearchIndex();
+    addToSearchIndex(idx, 'long', `${'filler '.repeat(200)}needle ${'filler '.repeat(200)}`);
+    const [result] = searchPages(idx, 'needle');
+    ok(result.snippet.startsWith('… ') && result.snippet.endsWith(' …'), `Got: ${result.snippet}`);
+    ok(result.snippet.length < 260, `Snippet too long: ${result.snippet.length}`);
+  });
+
+  console.log('\nSuite 4: updates');
+
+  await test('re-indexing a page replaces its old terms', async () => {
+    const idx = createSearchIndex();
+    addToSearchIndex(idx, 'page', 'alpha');
+    addToSearchIndex(idx, 'page', 'beta');
+    ok(searchPages(idx, 'alpha').length === 0, 'old term still matches');
+    ok(searchPages(idx, 'beta').length === 1, 'new term does not match');
+  });
+
+  await test('removed pages disappear and leave no empty postings', async () => {
+    const idx = createSearchIndex();
+    addToSearchIndex(idx, 'page', 'gamma delta');
+    removeFromSearchIndex(idx, 'page');
+    ok(searchPages(idx, 'gamma').length === 0, 'removed page still matches');
+    ok(idx.terms.size === 0, `Expected no terms, found ${idx.terms.size}`);
+  });
+
+  console.log('\nSuite 5: buildSearchIndex()');
+
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'massivewiki-search-'));
+  try {
+    await fs.mkdir(path.join(tempDir, 'guides'), { recursive: true });
+    await fs.writeFile(path.join(tempDir, 'home.md'), '# Home\n\nWelcome.');
+    await fs.writeFile(path.join(tempDir, 'guides', 'deploy.md'), '# Deploy\n\nRollback steps.');
+    await fs.writeFile(path.join(tempDir, '.hidden.md'), 'rollback secret');
+
+    const built = await buildSearchIndex(tempDir);
+
+    await test('indexes nested pages by path', async () => {
+      const results = searchPages(built, 'rollback');
+      ok(results.length === 1 && results[0].path === 'guides/deploy', JSON.stringify(results));
+    });
+
+    await test('skips hidden files', async () => {
+      ok(!built.docs.has('.hidden'), 'hidden file was indexed');
+    });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+
+  // ─── Summary ───────────────────────────────────────────────────────────────
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for page templates
+ *
+ * Builds a throwaway wiki (pointed to with --home before server.js loads)
+ * and checks which files in _wiki/_templates are listed and read as
+ * templates, the values filled in for a new page, that only those
+ * variables are replaced, and which folder's default template applies.
+ *
+ * Run:  node test-templates.js
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const os   = require('os');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'massivewiki-templates-'));
+process.argv.push('--home', home);
+
+const {
+  listTemplates, readTemplate, templateVariables, expandTemplate, folderTemplate,
+} = require('./server.js');
+
+// ─── Test harness ──────────────────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓  ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  ✗  ${name}`);
+    console.log(`       ${err.message}`);
+    failed++;
+  }
+}
+
+function ok(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+const json = value => JSON.stringify(value);
+const templatesDir = path.join(home, '_wiki', '_templates');
+const user = { email: 'ada@example.com', user_metadata: { full_name: 'Ada Lovelace' } };
+
+// ─── Tests ─────────────────────────────────────────────────────────────────
+(async () => {
+  console.log('\n── page template unit tests ──\n');
+
+  try {
+    console.log('Suite 1: listTemplates() and readTemplate()');
+
+    await test('no templates folder means no templates', async () => {
+      ok(json(await listTemplates()) === '[]', json(await listTemplates()));
+    });
+
+    fs.mkdirSync(templatesDir, { recursive: true });
+    fs.writeFileSync(path.join(templatesDir, 'runbook.md'), '# {{title}}\n');
+    fs.writeFileSync(path.join(templatesDir, 'meeting-notes.md'), '# {{title}} ({{date}})\n');
+    fs.writeFileSync(path.join(templatesDir, 'Draft.md'), '# Draft\n');
+    fs.writeFileSync(path.join(templatesDir, 'notes.txt'), 'not a template');
+
+    await test('lists markdown files with valid names, sorted', async () => {
+      ok(json(await listTemplates()) === json(['meeting-notes', 'runbook']), json(await listTemplates()));
+    });
+
+    await test('reads a template by name', async () => {
+      ok(await readTemplate('runbook') === '# {{title}}\n', await readTemplate('runbook'));
+    });
+
+    await test('unknown names and paths are not templates', async () => {
+      ok(await readTemplate('missing') === null, 'missing template read');
+      ok(await readTemplate('../_config') === null, 'path accepted as name');
+      ok(await readTemplate('Draft') === null, 'invalid name accepted');
+    });
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+
+  console.log('\nSuite 2: templateVariables() and expandTemplate()');
+
+  const now = new Date(2024, 2, 5, 23, 30);
+
+  await test('fills in title, local date, author name and parent page', async () => {
+    const variables = templateVariables('ops/postmortems/outage', 'Outage', user, now);
+    ok(json(variables) === json({ title: 'Outage', date: '2024-03-05', author: 'Ada Lovelace', parent: 'ops/postmortems' }), json(variables));
+  });
+
+  await test('top-level pages have no parent, and untitled pages a default title', async () => {
+    const variables = templateVariables('notes', '', { email: 'bob@example.com' }, now);
+    ok(variables.parent === '' && variables.title === 'New Page' && variables.author === 'bob', json(variables));
+  });
+
+  await test('replaces every variable, ignoring case and inner spaces', async () => {
+    const variables = templateVariables('ops/outage', 'Outage', user, now);
+    const out = expandTemplate('# {{title}}\n{{ Date }} by {{AUTHOR}}, under [[{{parent}}]]. {{title}}', variables);
+    ok(out === '# Outage\n2024-03-05 by Ada Lovelace, under [[ops]]. Outage', out);
+  });
+
+  await test('leaves macros and unknown placeholders alone', async () => {
+    const content = '{{toc}} {{include:checklist}} {{owner}} {title}';
+    ok(expandTemplate(content, templateVariables('x', 'X', user, now)) === content, 'placeholder replaced');
+  });
+
+  await test('values are inserted literally', async () => {
+    const out = expandTemplate('# {{title}}', { title: 'Cost $& {{date}}' });
+    ok(out === '# Cost $& {{date}}', out);
+  });
+
+  console.log('\nSuite 3: folderTemplate()');
+
+  const folders = { 'ops': 'runbook', 'ops/postmortems/': 'postmortem', '': 'page', 'meetings': '' };
+
+  await test('the nearest folder above the page wins', async () => {
+    ok(folderTemplate(folders, 'ops/postmortems/outage') === 'postmortem', folderTemplate(folders, 'ops/postmortems/outage'));
+    ok(folderTemplate(folders, 'ops/postmortems/2024/outage') === 'postmortem', 'deeper page missed its folder');
+    ok(folderTemplate(folders, 'ops/deploy') === 'runbook', folderTemplate(folders, 'ops/deploy'));
+  });
+
+  await test('"" covers the rest of the wiki, and empty names are skipped', async () => {
+    ok(folderTemplate(folders, 'notes') === 'page', folderTemplate(folders, 'notes'));
+    ok(folderTemplate(folders, 'meetings/standup') === 'page', folderTemplate(folders, 'meetings/standup'));
+  });
+
+  await test('a page is not inside its own folder', async () => {
+    ok(folderTemplate({ ops: 'runbook' }, 'ops') === null, folderTemplate({ ops: 'runbook' }, 'ops'));
+  });
+
+  await test('folders match case-insensitively', async () => {
+    ok(folderTemplate({ Ops: 'runbook' }, 'OPS/Deploy') === 'runbook', 'case mattered');
+  });
+
+  await test('missing or malformed settings give no default', async () => {
+    ok(folderTemplate(undefined, 'ops/deploy') === null, 'default without settings');
+    ok(folderTemplate(['runbook'], 'ops/deploy') === null, 'default from a list');
+    ok(folderTemplate({ ops: 42 }, 'ops/deploy') === null, 'non-string template name');
+    ok(folderTemplate({}, 'constructor/x') === null, 'inherited property used');
+  });
+
+  // ─── Summary ───────────────────────────────────────────────────────────────
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
@@ -0,0 +1,189 @@
+/**
+ * Unit tests for the trash
+ *
+ * Builds a throwaway wiki (pointed to with --home before server.js loads)
+ * and checks that deleting moves a page and the pages below it into
+ * _wiki/_trash with who and when (taking their protection along), that
+ * restoring puts them back unless something took their place, that purging
+ * deletes them for good, and that the trash is kept out of the wiki's git
+ * repository.
+ *
+ * Run:  node test-trash.js
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const os   = require('os');
+const { execFileSync } = require('child_process');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'massivewiki-trash-'));
+process.argv.push('--home', home);
+
+const {
+  trashPage, listTrash, restoreFromTrash, purgeTrash, ignoreTrashInGit, stageWikiChanges,
+} = require('./server.js');
+
+// ─── Test harness ──────────────────────────────────────────────────────────
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓  ${name}`);
+    passed++;
+  } catch (err) {
+    console.log(`  ✗  ${name}`);
+    console.log(`       ${err.message}`);
+    failed++;
+  }
+}
+
+function ok(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+const pagesDir = path.join(home, 'pages');
+const trashDir = path.join(home, '_wiki', '_trash');
+
+function writePage(pagePath, content) {
+  const file = path.join(pagesDir, pagePath + '.md');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+const exists = relPath => fs.existsSync(path.join(pagesDir, relPath));
+const user = { email: 'ada@example.com', user_metadata: { full_name: 'Ada Lovelace' } };
+
+// ─── Tests ─────────────────────────────────────────────────────────────────
+(async () => {
+  console.log('\n── trash unit tests ──\n');
+
+  writePage('home', '# Home');
+  writePage('guides/setup', '---\ntitle: Setup Guide\n---\n# Setup');
+  writePage('guides/setup/linux', '# Linux');
+  writePage('notes', '# Notes');
+  const configFile = path.join(home, '_wiki', '_config.json');
+  fs.mkdirSync(path.dirname(configFile), { recursive: true });
+  fs.writeFileSync(configFile, JSON.stringify({ protectedPages: ['guides/setup/linux', 'home'] }));
+  const protectedPages = () => JSON.parse(fs.readFileSync(configFile, 'utf-8')).protectedPages;
+
+  try {
+    console.log('Suite 1: trashPage()');
+
+    const entry = await trashPage('guides/setup', user);
+
+    await test('moves the page and the pages below it out of the wiki', async () => {
+      ok(!exists('guides/setup.md') && !exists('guides/setup'), 'page left behind');
+      ok(fs.existsSync(path.join(trashDir, entry.id, 'setup.md')), 'page not in the trash');
+      ok(fs.existsSync(path.join(trashDir, entry.id, 'setup', 'linux.md')), 'child page not in the trash');
+    });
+
+    await test('removes folders left empty', async () => {
+      ok(!exists('guides'), 'empty guides folder left behind');
+    });
+
+    await test('records the path, title, pages, who and when', async () => {
+      ok(entry.path === 'guides/setup' && entry.title === 'Setup Guide', JSON.stringify(entry));
+      ok(entry.pages.join() === 'guides/setup,guides/setup/linux', entry.pages.join());
+      ok(entry.deletedBy === 'Ada Lovelace <ada@example.com>', entry.deletedBy);
+      ok(!Number.isNaN(Date.parse(entry.deletedAt)), entry.deletedAt);
+    });
+
+    await test('takes protection with it', async () => {
+      ok(entry.protectedPages.join() === 'guides/setup/linux', JSON.stringify(entry.protectedPages));
+      ok(protectedPages().join() === 'home', protectedPages().join());
+    });
+
+    await test('returns null when there is nothing to delete', async () => {
+      ok(await trashPage('missing', user) === null, 'missing page trashed');
+    });
+
+    console.log('\nSuite 2: listTrash()');
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await trashPage('notes', user);
+
+    await test('lists the most recently deleted first', async () => {
+      const ids = (await listTrash()).map(item => item.id);
+      ok(ids.join() === [second.id, entry.id].join(), ids.join());
+    });
+
+    console.log('\nSuite 3: restoreFromTrash() and purgeTrash()');
+
+    await test('refuses to restore over a page created since', async () => {
+      writePage('guides/setup', '# Newer setup');
+      const result = await restoreFromTrash(entry.id);
+      ok(result.status === 409, JSON.stringify(result));
+      fs.rmSync(path.join(pagesDir, 'guides'), { recursive: true });
+    });
+
+    await test('puts the page and its children back', async () => {
+      const result = await restoreFromTrash(entry.id);
+      ok(result.entry && result.entry.path === 'guides/setup', JSON.stringify(result));
+      ok(exists('guides/setup.md') && exists('guides/setup/linux.md'), 'pages not restored');
+      ok(!fs.existsSync(path.join(trashDir, entry.id)), 'entry left in the trash');
+    });
+
+    await test('protects restored pages again', async () => {
+      ok(protectedPages().join() === 'home,guides/setup/linux', protectedPages().join());
+    });
+
+    await test('unknown and malformed ids are not found', async () => {
+      ok((await restoreFromTrash(entry.id)).status === 404, 'restored twice');
+      ok((await restoreFromTrash('../pages')).status === 404, 'path accepted as id');
+      ok(await purgeTrash('../pages') === false && exists('home.md'), 'path accepted as id');
+    });
+
+    await test('purging deletes for good', async () => {
+      ok(await purgeTrash(second.id) === true, 'purge failed');
+      ok((await listTrash()).length === 0 && !exists('notes.md'), 'entry still present');
+    });
+
+    console.log('\nSuite 4: git');
+
+    const git = (...args) => execFileSync('git', args, { cwd: home, encoding: 'utf-8' });
+    const tracked = () => git('ls-files').split('\n').filter(Boolean);
+    const gitignore = path.join(home, '.gitignore');
+    git('init', '-q');
+    git('config', 'user.email', 'wiki@localhost');
+    git('config', 'user.name', 'Wiki');
+    await trashPage('home', user);
+
+    await test('staging leaves the trash out', async () => {
+      await stageWikiChanges();
+      ok(tracked().includes('pages/guides/setup.md'), tracked().join());
+      ok(!tracked().some(f => f.startsWith('_wiki/_trash/')), tracked().join());
+    });
+
+    await test('untracks trash an earlier backup committed', async () => {
+      git('add', '-f', '_wiki/_trash');
+      git('commit', '-q', '-m', 'Backup');
+      await stageWikiChanges();
+      ok(!tracked().some(f => f.startsWith('_wiki/_trash/')), tracked().join());
+    });
+
+    await test('.gitignore gets the trash once, keeping what was there', async () => {
+      fs.writeFileSync(gitignore, 'node_modules/');
+      await ignoreTrashInGit();
+      await ignoreTrashInGit();
+      const lines = fs.readFileSync(gitignore, 'utf-8');
+      ok(lines === 'node_modules/\n_wiki/_trash/\n', JSON.stringify(lines));
+    });
+
+    await test('staging still works once .gitignore lists the trash', async () => {
+      writePage('later', '# Later');
+      await stageWikiChanges();
+      ok(tracked().includes('pages/later.md') && tracked().includes('.gitignore'), tracked().join());
+      ok(!tracked().some(f => f.startsWith('_wiki/_trash/')), tracked().join());
+    });
+  } finally {
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+
+  // ─── Summary ───────────────────────────────────────────────────────────────
+  console.log(`\n  ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();